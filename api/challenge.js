@@ -1,47 +1,79 @@
-const crypto = require("crypto");
-
-const DIFFICULTY = 4;
-const CHALLENGE_TTL = 300; // 5 minutes
+const { CHALLENGE_TTL, createChallenge } = require("../lib/challenge");
+const { DEFAULT_ALGORITHM, ENABLED_ALGORITHMS, getAlgorithm, describeProofOfWork } = require("../lib/pow");
+const { recordChallenge, scaleForQuantity } = require("../lib/difficulty");
+const { redis } = require("../lib/redis");
+const { validateWallet, invalidWalletResponse } = require("../lib/wallet");
+const { rateLimit } = require("../lib/rate-limit");
+const { parseAgentIdentity } = require("../lib/agent");
+const { parseQuantity } = require("../lib/allowance");
+const { sendError } = require("../lib/errors");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset");
   if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED", { error: "GET only" });
 
   const { wallet } = req.query;
-  if (!wallet || wallet.length < 32 || wallet.length > 44) {
-    return res.status(400).json({ success: false, error: "Invalid wallet address" });
-  }
+  const walletResult = validateWallet(wallet);
+  if (!walletResult.valid) return invalidWalletResponse(res, walletResult);
 
-  const timestamp = Date.now();
-  const nonce = crypto.randomBytes(16).toString("hex");
-  const payload = JSON.stringify({ wallet, timestamp, nonce });
-  const payloadB64 = Buffer.from(payload).toString("base64url");
+  const agentResult = parseAgentIdentity(req.query);
+  if (!agentResult.valid) return sendError(res, agentResult.code, { error: agentResult.error });
 
-  const hmac = crypto
-    .createHmac("sha256", process.env.CHALLENGE_SECRET || "neural-norse-default-secret")
-    .update(payloadB64)
-    .digest("hex");
+  const quantityResult = parseQuantity(req.query.quantity);
+  if (!quantityResult.valid) return sendError(res, quantityResult.code, { error: quantityResult.error });
+  const { quantity } = quantityResult;
 
-  const challenge = `${hmac}.${payloadB64}`;
+  if (!(await rateLimit(req, res, "challenge", { wallet }))) return;
+
+  const algorithm = req.query.algorithm || DEFAULT_ALGORITHM;
+  if (!ENABLED_ALGORITHMS.includes(algorithm)) {
+    return sendError(res, "UNSUPPORTED_ALGORITHM", {
+      error: `Unsupported algorithm. Available: ${ENABLED_ALGORITHMS.join(", ")}`,
+      available: ENABLED_ALGORITHMS,
+    });
+  }
+
+  const difficulty = scaleForQuantity(await recordChallenge(redis, algorithm), quantity);
+  const params = getAlgorithm(algorithm).params();
+  const { challenge, payload } = createChallenge(wallet, {
+    algorithm,
+    difficulty,
+    params,
+    quantity,
+    agent: agentResult.agent,
+  });
+  const pow = describeProofOfWork({ algorithm, difficulty, params });
 
   return res.status(200).json({
     success: true,
     challenge,
-    difficulty: DIFFICULTY,
-    expiresAt: timestamp + CHALLENGE_TTL * 1000,
-    expiresIn: CHALLENGE_TTL,
-    instructions: `Find a nonce such that SHA256(challenge + wallet + nonce) starts with ${DIFFICULTY} zeros. Submit via POST /api/mint with { wallet, challenge, nonce }.`,
+    agent: agentResult.agent,
+    algorithm,
+    params,
+    difficulty,
+    target: pow.target,
+    quantity,
+    expiresAt: payload.timestamp + CHALLENGE_TTL,
+    expiresIn: CHALLENGE_TTL / 1000,
+    instructions: `Find a nonce such that ${pow.digest} starts with ${difficulty} zero bits (digest < target). Sign the challenge string with your wallet (ed25519, base58 signature) and submit via POST /api/mint with { wallet, challenge, nonce, signature, quantity }. This challenge is good for up to ${quantity} mint(s); add ?quantity=N when requesting one for more.`,
     mint: {
       description: "After solving the challenge, POST to /api/mint. You'll receive a partially-signed transaction. Sign it with your wallet and submit to Solana.",
       totalCost: "~0.024 SOL (0.02 SOL mint price + ~0.0035 SOL account rent + tx fees)",
       paidBy: "your wallet (minter pays all costs)",
     },
+    identity: {
+      description: "Optional: tell us who you are. Add agentName, agentFramework, agentVersion and/or agentContact to the query string. It's signed into the challenge and shows up (aggregated) in /api/collection.",
+      declared: agentResult.agent !== null,
+    },
     solver: {
-      description: `Find nonce where SHA256(challenge + wallet + nonce) starts with ${DIFFICULTY} zeros`,
+      description: `Find nonce where ${pow.digest} starts with ${difficulty} zero bits`,
       language: "any",
-      iterations: "~65,536 average"
+      iterations: `~${pow.averageIterations.toLocaleString("en-US")} average`,
+      pow,
     }
   });
 };
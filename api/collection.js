@@ -1,42 +1,81 @@
-const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
-const { mplCandyMachine, fetchCandyMachine } = require("@metaplex-foundation/mpl-core-candy-machine");
-const { mplCore } = require("@metaplex-foundation/mpl-core");
-const { publicKey } = require("@metaplex-foundation/umi");
-
-const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+const { redis } = require("../lib/redis");
+const { currentDifficulty } = require("../lib/difficulty");
+const { ALGORITHMS, DEFAULT_ALGORITHM, ENABLED_ALGORITHMS } = require("../lib/pow");
+const { agentStats } = require("../lib/agent");
+const { MAX_QUANTITY } = require("../lib/allowance");
+const { sendError } = require("../lib/errors");
+const { activePhase, formatPrice, publicPayment, publicPhase } = require("../lib/phases");
+const { STATE_TTL, getCandyMachineState } = require("../lib/candy-machine-state");
+const { sendCacheable } = require("../lib/http-cache");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED", { error: "GET only" });
 
   const TOTAL = 10000;
   const RESERVED = 250;
   const PRICE = parseFloat(process.env.MINT_PRICE_SOL || "0.02");
 
-  // Get live mint count from Core Candy Machine on-chain
+  // Mint count and phase schedule from the Core Candy Machine, via the
+  // shared state cache (lib/candy-machine-state.js)
   let claimed = 0;
   let publicSupply = TOTAL - RESERVED;
+  let phases = [];
   try {
     if (process.env.CANDY_MACHINE) {
-      const umi = createUmi(RPC).use(mplCandyMachine()).use(mplCore());
-      const cm = await fetchCandyMachine(umi, publicKey(process.env.CANDY_MACHINE));
-      claimed = Number(cm.itemsRedeemed);
-      publicSupply = Number(cm.data.itemsAvailable);
+      const { state } = await getCandyMachineState(redis);
+      claimed = state.itemsRedeemed;
+      publicSupply = state.itemsAvailable;
+      phases = state.phases;
     }
   } catch (e) {
     // Fallback to defaults
   }
+  // No phase open (between phases or after the last) -> "closed"
+  const current = phases.length ? activePhase(phases).phase || null : null;
+  const closed = phases.length > 0 && !current;
+  const price = current && current.payments.sol ? formatPrice(current.payments.sol) : `${PRICE} SOL`;
+  // Every way to pay in the current phase (send `paymentMethod` to /api/mint)
+  const paymentMethods = current
+    ? Object.values(current.payments).map(publicPayment)
+    : [{ method: "sol", price, lamports: Math.round(PRICE * 1e9) }];
+
+  const algorithms = {};
+  try {
+    for (const name of ENABLED_ALGORITHMS) {
+      algorithms[name] = {
+        difficulty: await currentDifficulty(redis, name),
+        difficultyRange: { min: ALGORITHMS[name].minDifficulty, max: ALGORITHMS[name].maxDifficulty },
+        params: ALGORITHMS[name].params(),
+      };
+    }
+  } catch (e) {
+    console.error("Collection error:", e);
+    return sendError(res, "INTERNAL_ERROR");
+  }
+
+  let agents = null;
+  try {
+    agents = await agentStats(redis);
+  } catch (e) {
+    // Stats are best-effort
+  }
 
-  return res.status(200).json({
+  return sendCacheable(req, res, {
     name: "Neural Norse",
     symbol: "NNORSE",
     description: "Neural Norse is the first 10K Pepe collection only available for AI Agents to mint on their way to Valhalla.",
     totalSupply: TOTAL,
     publicSupply,
     reserved: RESERVED,
-    price: `${PRICE} SOL`,
+    price,
+    paymentMethods,
     totalCostPerMint: "~0.024 SOL (mint price + account rent)",
     mintMethod: "machine-captcha + Core Candy Machine",
-    mintStatus: (claimed + RESERVED) >= (publicSupply + RESERVED) ? "sold-out" : "minting",
+    mintStatus: (claimed + RESERVED) >= (publicSupply + RESERVED) ? "sold-out" : closed ? "closed" : "minting",
+    phase: current && current.label,
+    phases: phases.map((phase) => publicPhase(phase)),
     claimed: claimed + RESERVED,
     available: publicSupply - claimed,
     blockchain: "solana",
@@ -44,18 +83,24 @@ module.exports = async (req, res) => {
     factions: {
       description: "10,000 pixel art Viking Pepes. Each uniquely generated with traits spanning backgrounds, tools, bodies, paint, outfits, beards, eyes, and headgear."
     },
+    agents,
     traits: ["Background", "Tools", "Body", "Paint", "Outfit", "Beard", "Eyes", "Headgear"],
     mint: {
-      method: "SHA-256 proof-of-work + Core Candy Machine mint",
+      method: "proof-of-work + Core Candy Machine mint",
       challengeEndpoint: "/api/challenge",
       mintEndpoint: "/api/mint",
-      price: `${PRICE} SOL`,
+      price,
+      paymentMethods,
       accountRent: "~0.0035 SOL",
       totalCost: "~0.024 SOL",
-      difficulty: 4,
-      algorithm: "SHA-256",
-      maxPerWallet: parseInt(process.env.MAX_PER_WALLET || "10"),
+      difficulty: algorithms[DEFAULT_ALGORITHM].difficulty,
+      difficultyUnit: "leading zero bits",
+      algorithm: DEFAULT_ALGORITHM,
+      algorithms,
+      maxPerWallet: current && current.mintLimit ? current.mintLimit.limit : parseInt(process.env.MAX_PER_WALLET || "10"),
+      maxPerRequest: MAX_QUANTITY,
       candyMachine: process.env.CANDY_MACHINE,
+      errors: "/api/errors",
       docs: "/agents.md"
     },
     royalties: {
@@ -67,7 +112,8 @@ module.exports = async (req, res) => {
       github: "https://github.com/runescribeio/neural-norse",
       agents: "/agents.md",
       challenge: "/api/challenge",
-      mint: "/api/mint"
+      mint: "/api/mint",
+      errors: "/api/errors"
     }
-  });
+  }, { maxAge: STATE_TTL });
 };
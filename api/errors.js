@@ -0,0 +1,9 @@
+const { errorCatalog } = require("../lib/errors");
+
+// GET /api/errors (also /errors.json) -- the error code catalog. Every failed
+// response carries one of these codes; see lib/errors.js.
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Cache-Control", "public, max-age=3600");
+  return res.status(200).json(errorCatalog());
+};
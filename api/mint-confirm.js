@@ -0,0 +1,162 @@
+const { Connection } = require("@solana/web3.js");
+const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
+const { mplCandyMachine, getMplCoreCandyGuardProgramId } = require("@metaplex-foundation/mpl-core-candy-machine");
+const { mplCore, safeFetchAllAssetV1 } = require("@metaplex-foundation/mpl-core");
+const { publicKey } = require("@metaplex-foundation/umi");
+const bs58 = require("bs58");
+const { redis } = require("../lib/redis");
+const { validateWallet, invalidWalletResponse } = require("../lib/wallet");
+const { rateLimit } = require("../lib/rate-limit");
+const { releaseReservation } = require("../lib/allowance");
+const { CONFIRMED_KEY, txKey, itemKey, getMintRecord, saveMintRecord, findItemByUri } = require("../lib/mints");
+const { transitionSession } = require("../lib/sessions");
+const { sendError } = require("../lib/errors");
+const { MINT_V1, MINT_ACCOUNTS } = require("../lib/signing-policy");
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+
+function isTransactionSignature(signature) {
+  try {
+    return typeof signature === "string" && (bs58.default || bs58).decode(signature).length === 64;
+  } catch {
+    return false;
+  }
+}
+
+function confirmedResponse(record, alreadyConfirmed) {
+  return {
+    success: true,
+    confirmed: true,
+    alreadyConfirmed,
+    asset: record.asset,
+    wallet: record.wallet,
+    signature: record.signature,
+    item: {
+      name: record.name,
+      uri: record.uri,
+      itemIndex: record.itemIndex,
+      configLine: record.configLine,
+    },
+    confirmedAt: record.confirmedAt,
+  };
+}
+
+// POST /api/mint/confirm { wallet, signature }
+//
+// Verifies on-chain that `signature` minted a Core asset into COLLECTION_MINT
+// for `wallet` through our Candy Guard, then records asset -> wallet -> item.
+// Safe to call repeatedly: a known signature returns the stored record.
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return sendError(res, "METHOD_NOT_ALLOWED", { error: "POST only" });
+
+  const { wallet, signature } = req.body || {};
+
+  try {
+    if (!wallet || !signature) {
+      return sendError(res, "INVALID_REQUEST", { error: "Missing required fields: wallet, signature" });
+    }
+
+    const walletResult = validateWallet(wallet);
+    if (!walletResult.valid) return invalidWalletResponse(res, walletResult);
+
+    if (!isTransactionSignature(signature)) {
+      return sendError(res, "INVALID_REQUEST", { error: "signature must be a base58 transaction signature" });
+    }
+
+    if (!(await rateLimit(req, res, "confirm", { wallet }))) return;
+
+    // 1. Already confirmed?
+    const knownAsset = await redis.get(txKey(signature));
+    if (knownAsset) {
+      const record = await getMintRecord(redis, knownAsset);
+      if (record.wallet !== wallet) {
+        return sendError(res, "WALLET_MISMATCH", { error: "Transaction belongs to a different wallet" });
+      }
+      return res.status(200).json(confirmedResponse(record, true));
+    }
+
+    // 2. Fetch the transaction
+    const connection = new Connection(RPC, "confirmed");
+    const tx = await connection.getTransaction(signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!tx) {
+      return sendError(res, "TRANSACTION_NOT_FOUND", {
+        error: "Transaction not found. It may not be confirmed yet -- retry in a few seconds.",
+      });
+    }
+    if (tx.meta && tx.meta.err) {
+      return sendError(res, "TRANSACTION_FAILED", { details: tx.meta.err });
+    }
+
+    // 3. It must be paid by the wallet and go through the Candy Guard
+    const umi = createUmi(RPC).use(mplCandyMachine()).use(mplCore());
+    const message = tx.transaction.message;
+    const keys = message.staticAccountKeys.map((key) => key.toBase58());
+    if (keys[0] !== wallet) {
+      return sendError(res, "WALLET_MISMATCH", { error: "Transaction was not paid by this wallet" });
+    }
+
+    const candyGuardProgram = getMplCoreCandyGuardProgramId(umi);
+    const accountKeys = message.getAccountKeys({ accountKeysFromLookups: tx.meta && tx.meta.loadedAddresses });
+    const mintInstructions = message.compiledInstructions.filter(
+      (ix) => keys[ix.programIdIndex] === candyGuardProgram && MINT_V1.equals(Buffer.from(ix.data).subarray(0, 8))
+    );
+    if (!mintInstructions.length) {
+      return sendError(res, "NOT_A_MINT", { error: "Transaction is not a Candy Guard mint" });
+    }
+
+    // 4. The asset is the asset account of a mint_v1 whose minter (and so
+    // the asset's owner) is the wallet -- paying the fee isn't enough -- and
+    // must belong to our collection
+    const account = (ix, name) => accountKeys.get(ix.accountKeyIndexes[MINT_ACCOUNTS[name]]).toBase58();
+    const walletMints = mintInstructions.filter((ix) => account(ix, "minter") === wallet);
+    if (!walletMints.length) {
+      return sendError(res, "WALLET_MISMATCH", { error: "Transaction did not mint for this wallet" });
+    }
+    const assetKeys = walletMints.map((ix) => account(ix, "asset"));
+    const assets = await safeFetchAllAssetV1(umi, assetKeys.map((key) => publicKey(key)));
+    const asset = assets.find(
+      (a) => a.updateAuthority.type === "Collection" && a.updateAuthority.address === process.env.COLLECTION_MINT
+    );
+    if (!asset) {
+      return sendError(res, "NOT_A_MINT", { error: "No Neural Norse asset was minted by this transaction" });
+    }
+
+    // 5. Record asset -> wallet -> item. Everything here is derived from
+    // chain data, so a concurrent confirmation of the same signature writes
+    // the same thing. The signature index goes last: once it exists the
+    // record is complete.
+    const item = findItemByUri(asset.uri) || {};
+    const fields = {
+      wallet,
+      signature,
+      name: asset.name,
+      uri: asset.uri,
+      itemIndex: item.itemIndex ?? null,
+      configLine: item.configLine ?? null,
+      slot: tx.slot,
+      confirmedAt: Date.now(),
+    };
+    const record =
+      (await transitionSession(redis, asset.publicKey, "confirmed", fields)) ||
+      (await saveMintRecord(redis, asset.publicKey, { ...fields, status: "confirmed" }));
+    if (item.itemIndex !== undefined) await redis.set(itemKey(item.itemIndex), asset.publicKey);
+    await redis.zadd(CONFIRMED_KEY, { score: record.confirmedAt, member: asset.publicKey });
+    await redis.set(txKey(signature), asset.publicKey);
+
+    // The on-chain mintLimit counter now includes this mint
+    await releaseReservation(redis, wallet, asset.publicKey);
+
+    return res.status(200).json(confirmedResponse(record, false));
+  } catch (e) {
+    console.error("Confirm error:", e);
+    return sendError(res, "INTERNAL_ERROR");
+  }
+};
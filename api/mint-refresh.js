@@ -0,0 +1,241 @@
+const { Connection } = require("@solana/web3.js");
+const { generateSigner, publicKey, createNoopSigner } = require("@metaplex-foundation/umi");
+const { fromWeb3JsPublicKey } = require("@metaplex-foundation/umi-web3js-adapters");
+const { safeFetchAllAssetV1 } = require("@metaplex-foundation/mpl-core");
+const { redis } = require("../lib/redis");
+const { challengeId } = require("../lib/replay");
+const { verifyChallenge } = require("../lib/challenge");
+const { validateWallet, verifyWalletSignature, invalidWalletResponse } = require("../lib/wallet");
+const { rateLimit } = require("../lib/rate-limit");
+const { signatureStatus } = require("../lib/relay");
+const { refreshKey, isAssetAddress, getMintRecord } = require("../lib/mints");
+const { openTransactionSessions, transitionSession } = require("../lib/sessions");
+const { createMintUmi, prepareMintTransactions } = require("../lib/mint-tx");
+const { parseFeeTier } = require("../lib/fees");
+const { activePhase, formatPrice, publicPhase } = require("../lib/phases");
+const { getCandyMachineState } = require("../lib/candy-machine-state");
+const { sendError } = require("../lib/errors");
+const { MAX_PER_WALLET, fetchOnChainMintCount, reserveMint, releaseReservation } = require("../lib/allowance");
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+const REFRESH_WINDOW = parseInt(process.env.MINT_REFRESH_WINDOW || "900"); // seconds after the challenge was issued
+const MAX_REFRESHES = parseInt(process.env.MINT_MAX_REFRESHES || "3"); // per original transaction
+
+// POST /api/mint/refresh { wallet, challenge, signature, asset }
+//
+// Rebuilds a mint from /api/mint whose blockhash expired before it landed:
+// same minter and challenge, fresh blockhash, new asset signer(s). Every asset
+// in the original transaction is replaced, and its pending reservation is
+// handed over to the new asset, so the wallet limit isn't counted twice.
+// Only allowed once the old transaction can no longer land.
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset");
+  res.setHeader("Cache-Control", "no-store");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return sendError(res, "METHOD_NOT_ALLOWED", { error: "POST only" });
+
+  let lockKey = null;
+  let consumed = false;
+  const reservations = [];
+  const { wallet, challenge, signature, asset, feeTier } = req.body || {};
+
+  try {
+    if (!wallet || typeof challenge !== "string" || !challenge || !signature || !asset) {
+      return sendError(res, "INVALID_REQUEST", { error: "Missing required fields: wallet, challenge, signature, asset" });
+    }
+
+    const walletResult = validateWallet(wallet);
+    if (!walletResult.valid) return invalidWalletResponse(res, walletResult);
+
+    if (!isAssetAddress(asset)) {
+      return sendError(res, "INVALID_REQUEST", { error: "asset must be a base58 asset address" });
+    }
+
+    const feeTierResult = parseFeeTier(feeTier);
+    if (!feeTierResult.valid) return sendError(res, feeTierResult.code, { error: feeTierResult.error });
+
+    if (!(await rateLimit(req, res, "refresh", { wallet }))) return;
+
+    // 1. The original challenge, still signed by the same wallet. It may be
+    // past its own lifetime -- it already paid for this mint.
+    const challengeResult = verifyChallenge(challenge, wallet, { maxAge: REFRESH_WINDOW * 1000 });
+    if (!challengeResult.valid) return sendError(res, challengeResult.code, { error: challengeResult.error });
+    if (!verifyWalletSignature(walletResult.publicKey, challenge, signature)) {
+      return sendError(res, "INVALID_WALLET_SIGNATURE", {
+        error: "Invalid wallet signature. Sign the challenge string (UTF-8) with your wallet key and send it base58-encoded as `signature`."
+      });
+    }
+
+    // 2. The asset must have been issued for that challenge
+    const record = await getMintRecord(redis, asset);
+    if (!record) {
+      return sendError(res, "ASSET_NOT_FOUND", { error: "Unknown asset. Only mints issued by /api/mint can be refreshed." });
+    }
+    if (record.wallet !== wallet || record.challengeId !== challengeId(challenge)) {
+      return sendError(res, "WALLET_MISMATCH", { error: "Asset was not issued for this wallet and challenge" });
+    }
+    if (record.replacedBy) {
+      return sendError(res, "ALREADY_REFRESHED", {
+        error: `Already refreshed. Use ${record.replacedBy} instead.`,
+        replacedBy: record.replacedBy,
+      });
+    }
+    if ((record.refreshes || 0) >= MAX_REFRESHES) {
+      return sendError(res, "REFRESH_LIMIT_REACHED", { error: `Refresh limit (${MAX_REFRESHES}) reached. Request a new challenge.` });
+    }
+
+    // 3. The old transaction must be dead: landed means there's nothing to
+    // refresh, and while its blockhash is valid it could still land. Agents
+    // that submit directly never give us a signature, so once the blockhash
+    // has lapsed the assets themselves are checked too.
+    const connection = new Connection(RPC, "confirmed");
+    const landed = record.signature ? await signatureStatus(connection, record.signature) : null;
+    if (record.status === "confirmed" || (landed && landed.status === "confirmed")) {
+      return sendError(res, "ALREADY_MINTED", { signature: record.signature });
+    }
+    const blockHeight = await connection.getBlockHeight("confirmed");
+    if (blockHeight <= record.lastValidBlockHeight) {
+      return sendError(res, "TRANSACTION_STILL_VALID", {
+        error: "Transaction is still valid. Submit it, or refresh once the chain passes lastValidBlockHeight.",
+        blockHeight,
+        lastValidBlockHeight: record.lastValidBlockHeight,
+      });
+    }
+    const umi = createMintUmi();
+    const oldAssets = record.transactionAssets || [asset];
+    const minted = await safeFetchAllAssetV1(umi, oldAssets.map((a) => publicKey(a)));
+    if (minted.length) {
+      for (const a of oldAssets) {
+        await transitionSession(redis, a, "confirmed");
+        await releaseReservation(redis, wallet, a);
+      }
+      return sendError(res, "ALREADY_MINTED", { assets: minted.map((a) => a.publicKey) });
+    }
+
+    // 4. Rebuild each transaction message only once
+    lockKey = refreshKey(record.messageHash);
+    const locked = await redis.set(lockKey, asset, { nx: true, ex: REFRESH_WINDOW });
+    if (locked !== "OK") {
+      lockKey = null;
+      return sendError(res, "REFRESH_IN_PROGRESS");
+    }
+
+    const candyMachineId = publicKey(process.env.CANDY_MACHINE);
+    const minterPublicKey = fromWeb3JsPublicKey(walletResult.publicKey);
+    const minterSigner = createNoopSigner(minterPublicKey);
+
+    const { state: candyMachine } = await getCandyMachineState(redis, umi);
+    if (candyMachine.itemsRedeemed >= candyMachine.itemsAvailable) {
+      return sendError(res, "CANDY_MACHINE_EMPTY");
+    }
+
+    // Rebuilt under the phase open now, which may not be the original one
+    const phaseResult = activePhase(candyMachine.phases);
+    if (!phaseResult.phase) {
+      const { code, error, next } = phaseResult;
+      return sendError(res, code, { error, next });
+    }
+    const { phase } = phaseResult;
+    const payment = phase.payments[record.paymentMethod || "sol"];
+    if (!payment) {
+      return sendError(res, "PAYMENT_METHOD_UNAVAILABLE", {
+        error: `The ${phase.name} phase doesn't accept ${record.paymentMethod}. Request a new challenge.`,
+        available: Object.keys(phase.payments),
+      });
+    }
+
+    // 5. Hand each old asset's reservation to its replacement. Release first,
+    // then reserve, so the swap never counts the mint twice.
+    const onChainCount = await fetchOnChainMintCount(umi, {
+      wallet: minterPublicKey,
+      candyMachine: candyMachineId,
+      candyGuard: candyMachine.mintAuthority,
+      ...(phase.mintLimit && { id: phase.mintLimit.id }),
+    });
+    const replacements = {};
+    const assets = [];
+    for (const oldAsset of oldAssets) {
+      await releaseReservation(redis, wallet, oldAsset);
+      const newAsset = generateSigner(umi);
+      const result = await reserveMint(
+        redis,
+        wallet,
+        newAsset.publicKey,
+        onChainCount,
+        phase.mintLimit ? phase.mintLimit.limit : MAX_PER_WALLET
+      );
+      if (!result.reserved) break;
+      reservations.push(newAsset.publicKey);
+      replacements[oldAsset] = newAsset.publicKey;
+      assets.push(newAsset);
+    }
+    if (assets.length === 0) {
+      return sendError(res, "MINT_LIMIT_REACHED", { error: "Wallet mint limit reached. Nothing left to refresh." });
+    }
+
+    const latestBlockhash = await umi.rpc.getLatestBlockhash();
+    const prepared = await prepareMintTransactions(umi, connection, {
+      candyMachine,
+      minter: minterSigner,
+      collection: publicKey(process.env.COLLECTION_MINT),
+      phase,
+      payment,
+      blockhash: latestBlockhash,
+      feeTier: feeTierResult.tier,
+    }, assets);
+    if (!prepared.ok) {
+      const { code, programError, logs } = prepared;
+      return sendError(res, code, { programError, logs });
+    }
+    const { transactions, fees } = prepared;
+
+    const refreshedFrom = {};
+    for (const [oldAsset, newAsset] of Object.entries(replacements)) {
+      refreshedFrom[newAsset] = { refreshedFrom: oldAsset };
+    }
+    await openTransactionSessions(redis, transactions, latestBlockhash, {
+      wallet,
+      agent: record.agent || null,
+      challengeId: record.challengeId,
+      phase: phase.label,
+      paymentMethod: payment.method,
+      refreshes: (record.refreshes || 0) + 1,
+    }, refreshedFrom);
+    for (const [oldAsset, newAsset] of Object.entries(replacements)) {
+      await transitionSession(redis, oldAsset, "expired", { replacedBy: newAsset });
+    }
+    consumed = true;
+
+    return res.status(200).json({
+      success: true,
+      message: "Refreshed. Sign the new transaction(s) with your wallet and submit to Solana.",
+      quantity: assets.length,
+      replaced: replacements,
+      transaction: transactions[0].transaction,
+      asset: transactions[0].assets[0],
+      transactions: transactions.map(({ transaction, assets: txAssets }) => ({ transaction, assets: txAssets })),
+      assets: transactions.flatMap((t) => t.assets),
+      lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+      fees,
+      phase: publicPhase(phase),
+      payment: { method: payment.method, price: formatPrice(payment) },
+      refreshesLeft: MAX_REFRESHES - (record.refreshes || 0) - 1,
+    });
+  } catch (e) {
+    console.error("Refresh error:", e);
+    return sendError(res, "INTERNAL_ERROR");
+  } finally {
+    // Nothing was handed out -- let the agent try again
+    if (lockKey && !consumed) {
+      await redis.del(lockKey).catch((err) => console.error("Refresh lock release failed:", err));
+    }
+    if (!consumed) {
+      for (const reserved of reservations) {
+        await releaseReservation(redis, wallet, reserved).catch((err) => console.error("Reservation release failed:", err));
+      }
+    }
+  }
+};
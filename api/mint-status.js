@@ -0,0 +1,38 @@
+const { redis } = require("../lib/redis");
+const { rateLimit } = require("../lib/rate-limit");
+const { isAssetAddress, getMintRecord } = require("../lib/mints");
+const { publicSession } = require("../lib/sessions");
+const { sendError } = require("../lib/errors");
+
+// GET /api/mint/status?asset=<address>
+//
+// Lifecycle of a mint handed out by /api/mint:
+// pending -> submitted -> confirmed | expired.
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED", { error: "GET only" });
+
+  const { asset } = req.query || {};
+
+  try {
+    if (!isAssetAddress(asset)) {
+      return sendError(res, "INVALID_REQUEST", { error: "asset must be a base58 asset address" });
+    }
+
+    if (!(await rateLimit(req, res, "status"))) return;
+
+    const record = await getMintRecord(redis, asset);
+    if (!record) {
+      return sendError(res, "ASSET_NOT_FOUND");
+    }
+
+    return res.status(200).json({ success: true, ...publicSession(record) });
+  } catch (e) {
+    console.error("Status error:", e);
+    return sendError(res, "INTERNAL_ERROR");
+  }
+};
@@ -0,0 +1,118 @@
+const { Connection, VersionedTransaction } = require("@solana/web3.js");
+const bs58 = require("bs58");
+const { redis } = require("../lib/redis");
+const { verifyEd25519 } = require("../lib/wallet");
+const { rateLimit } = require("../lib/rate-limit");
+const { relayTransaction } = require("../lib/relay");
+const { messageKey, messageHash, getMintRecord } = require("../lib/mints");
+const { transitionSession } = require("../lib/sessions");
+const { releaseReservation } = require("../lib/allowance");
+const { sendError } = require("../lib/errors");
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+const SUBMIT_WAIT_MS = parseInt(process.env.SUBMIT_WAIT_MS || "25000"); // stay under the 30s function limit
+
+// POST /api/mint/submit { transaction }
+//
+// Optional relay for agents without reliable RPC access. Accepts the base64
+// transaction from /api/mint after the agent has signed it, checks that the
+// message is byte-for-byte one we built and that every signature is valid,
+// then submits and rebroadcasts it until it confirms or the blockhash
+// expires. If our time budget runs out first the response is 202 with
+// status "pending" -- not an error, so success: true and no code; POST the
+// same transaction again to keep going.
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return sendError(res, "METHOD_NOT_ALLOWED", { error: "POST only" });
+
+  const { transaction } = req.body || {};
+
+  try {
+    if (typeof transaction !== "string" || !transaction) {
+      return sendError(res, "INVALID_REQUEST", { error: "Missing required field: transaction (base64)" });
+    }
+
+    let vtx;
+    try {
+      vtx = VersionedTransaction.deserialize(Buffer.from(transaction, "base64"));
+    } catch {
+      return sendError(res, "INVALID_REQUEST", { error: "transaction is not a valid base64 Solana transaction" });
+    }
+
+    // 1. Must be a message we built, unmodified
+    const messageBytes = vtx.message.serialize();
+    const assets = await redis.get(messageKey(messageHash(messageBytes)));
+    if (!assets) {
+      return sendError(res, "UNKNOWN_TRANSACTION", {
+        error: "Unknown transaction. Only unmodified transactions from /api/mint can be relayed, and only until they expire.",
+      });
+    }
+    const record = await getMintRecord(redis, assets[0]);
+
+    if (!(await rateLimit(req, res, "submit", { wallet: record.wallet }))) return;
+
+    // 2. Every required signature must be present and valid
+    const signers = vtx.message.staticAccountKeys.slice(0, vtx.message.header.numRequiredSignatures);
+    const unsigned = signers.filter(
+      (key, i) => !verifyEd25519(key.toBytes(), messageBytes, vtx.signatures[i])
+    );
+    if (unsigned.length) {
+      return sendError(res, "MISSING_SIGNATURES", {
+        error: `Missing or invalid signature for: ${unsigned.map((key) => key.toBase58()).join(", ")}`,
+      });
+    }
+
+    // 3. Submit and track
+    const signature = (bs58.default || bs58).encode(vtx.signatures[0]);
+    for (const asset of assets) {
+      await transitionSession(redis, asset, "submitted", { signature, submittedAt: record.submittedAt || Date.now() });
+    }
+
+    const connection = new Connection(RPC, "confirmed");
+    const result = await relayTransaction(connection, vtx.serialize(), signature, {
+      lastValidBlockHeight: record.lastValidBlockHeight,
+      deadline: Date.now() + SUBMIT_WAIT_MS,
+    });
+
+    // Settle the sessions and release the reservations either way: a
+    // confirmed mint is now in the on-chain mintLimit counter, and a failed
+    // transaction can never land.
+    if (result.status !== "pending") {
+      const status = result.status === "confirmed" ? "confirmed" : "expired";
+      for (const asset of assets) {
+        await transitionSession(redis, asset, status, { slot: result.slot });
+        await releaseReservation(redis, record.wallet, asset);
+      }
+    }
+
+    const outcome = { status: result.status, signature, asset: assets[0], assets, slot: result.slot };
+    if (result.status === "failed") {
+      return sendError(res, "TRANSACTION_FAILED", { ...outcome, details: result.error });
+    }
+    if (result.status === "expired") {
+      return sendError(res, "TRANSACTION_EXPIRED", {
+        ...outcome,
+        error: "Blockhash expired before the transaction landed. POST /api/mint/refresh { wallet, challenge, signature, asset } for a new one.",
+      });
+    }
+    if (result.status === "pending") {
+      return res.status(202).json({
+        success: true,
+        ...outcome,
+        message: "Not confirmed yet. POST the same transaction again to keep relaying.",
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      ...outcome,
+      next: "POST /api/mint/confirm { wallet, signature } to record the mint",
+    });
+  } catch (e) {
+    console.error("Submit error:", e);
+    return sendError(res, "INTERNAL_ERROR");
+  }
+};
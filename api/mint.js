@@ -1,173 +1,310 @@
-const crypto = require("crypto");
-const { Connection, PublicKey, Keypair } = require("@solana/web3.js");
-const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
-const { mplCandyMachine, mintV1, fetchCandyMachine } = require("@metaplex-foundation/mpl-core-candy-machine");
-const { mplCore } = require("@metaplex-foundation/mpl-core");
-const { keypairIdentity, generateSigner, some, publicKey, transactionBuilder, createNoopSigner } = require("@metaplex-foundation/umi");
-const { fromWeb3JsKeypair, fromWeb3JsPublicKey } = require("@metaplex-foundation/umi-web3js-adapters");
-const { setComputeUnitLimit } = require("@metaplex-foundation/mpl-toolbox");
-const { Redis } = require("@upstash/redis");
-const bs58 = require("bs58");
-
-const DIFFICULTY = 4;
-const CHALLENGE_TTL = 300_000; // 5 min
-const MAX_PER_WALLET = parseInt(process.env.MAX_PER_WALLET || "10");
-const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
-
-const redis = new Redis({
-  url: process.env.KV_REST_API_URL,
-  token: process.env.KV_REST_API_TOKEN,
-});
-
-function verifyChallenge(challenge, wallet) {
-  const [hmac, payloadB64] = challenge.split(".");
-  if (!hmac || !payloadB64) return { valid: false, error: "Malformed challenge" };
-
-  const expectedHmac = crypto
-    .createHmac("sha256", process.env.CHALLENGE_SECRET || "neural-norse-default-secret")
-    .update(payloadB64)
-    .digest("hex");
-
-  if (hmac !== expectedHmac) return { valid: false, error: "Invalid challenge signature" };
-
-  const payload = JSON.parse(Buffer.from(payloadB64, "base64url").toString());
-  if (payload.wallet !== wallet) return { valid: false, error: "Wallet mismatch" };
-  if (Date.now() - payload.timestamp > CHALLENGE_TTL) return { valid: false, error: "Challenge expired" };
-
-  return { valid: true, payload };
-}
-
-function verifyProofOfWork(challenge, wallet, nonce) {
-  const hash = crypto.createHash("sha256").update(challenge + wallet + nonce).digest("hex");
-  return hash.startsWith("0".repeat(DIFFICULTY));
-}
+const { Connection } = require("@solana/web3.js");
+const { generateSigner, publicKey, createNoopSigner } = require("@metaplex-foundation/umi");
+const { fromWeb3JsPublicKey } = require("@metaplex-foundation/umi-web3js-adapters");
+const { redis } = require("../lib/redis");
+const { challengeId, claimChallenge, releaseChallenge } = require("../lib/replay");
+const { CHALLENGE_TTL, verifyChallenge } = require("../lib/challenge");
+const { verifyProofOfWork } = require("../lib/pow");
+const { validateWallet, verifyWalletSignature, invalidWalletResponse } = require("../lib/wallet");
+const { rateLimit } = require("../lib/rate-limit");
+const { recordAgentMint } = require("../lib/agent");
+const { openTransactionSessions } = require("../lib/sessions");
+const { createMintUmi, mintPriorityFee, prepareMintTransactions } = require("../lib/mint-tx");
+const { mintCost, checkBalance } = require("../lib/balance");
+const {
+  parseIdempotencyKey,
+  requestFingerprint,
+  beginRequest,
+  completeRequest,
+  abandonRequest,
+} = require("../lib/idempotency");
+const { parseFeeTier } = require("../lib/fees");
+const { activePhase, parsePaymentMethod, formatPrice, publicPhase } = require("../lib/phases");
+const { getCandyMachineState } = require("../lib/candy-machine-state");
+const { sendError } = require("../lib/errors");
+const {
+  MAX_PER_WALLET,
+  fetchOnChainMintCount,
+  pendingCount,
+  reserveMint,
+  releaseReservation,
+  parseQuantity,
+} = require("../lib/allowance");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Idempotency-Key");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Idempotent-Replayed");
+  res.setHeader("Cache-Control", "no-store");
   if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "POST") return res.status(405).json({ success: false, error: "POST only" });
+  if (req.method !== "POST") return sendError(res, "METHOD_NOT_ALLOWED", { error: "POST only" });
 
-  try {
-    const { wallet, challenge, nonce } = req.body;
+  let claimed = false;
+  let consumed = false;
+  let idempotency = null; // { key, fingerprint } while this request holds the key
+  const reservations = [];
+  const { wallet, challenge, nonce, signature, quantity: requestedQuantity, feeTier, paymentMethod } = req.body || {};
 
-    if (!wallet || !challenge || nonce === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: wallet, challenge, nonce"
-      });
+  try {
+    if (!wallet || typeof challenge !== "string" || !challenge || nonce === undefined || !signature) {
+      return sendError(res, "INVALID_REQUEST", { error: "Missing required fields: wallet, challenge, nonce, signature" });
     }
 
+    const walletResult = validateWallet(wallet);
+    if (!walletResult.valid) return invalidWalletResponse(res, walletResult);
+
+    const quantityResult = parseQuantity(requestedQuantity);
+    if (!quantityResult.valid) return sendError(res, quantityResult.code, { error: quantityResult.error });
+
+    const feeTierResult = parseFeeTier(feeTier);
+    if (!feeTierResult.valid) return sendError(res, feeTierResult.code, { error: feeTierResult.error });
+
+    const paymentResult = parsePaymentMethod(paymentMethod);
+    if (!paymentResult.valid) return sendError(res, paymentResult.code, { error: paymentResult.error });
+
+    const keyResult = parseIdempotencyKey(req.headers["idempotency-key"], challenge);
+    if (!keyResult.valid) return sendError(res, keyResult.code, { error: keyResult.error });
+
+    if (!(await rateLimit(req, res, "mint", { wallet }))) return;
+
     // 1. Verify challenge
     const challengeResult = verifyChallenge(challenge, wallet);
-    if (!challengeResult.valid) {
-      return res.status(400).json({ success: false, error: challengeResult.error });
-    }
+    if (!challengeResult.valid) return sendError(res, challengeResult.code, { error: challengeResult.error });
 
-    // 2. Verify proof of work
-    if (!verifyProofOfWork(challenge, wallet, String(nonce))) {
-      return res.status(400).json({ success: false, error: "Invalid proof of work" });
+    // 2. Verify wallet ownership: the wallet must have signed the challenge
+    // string, so nobody can burn another wallet's mint allowance
+    if (!verifyWalletSignature(walletResult.publicKey, challenge, signature)) {
+      return sendError(res, "INVALID_WALLET_SIGNATURE", {
+        error: "Invalid wallet signature. Sign the challenge string (UTF-8) with your wallet key and send it base58-encoded as `signature`."
+      });
     }
 
-    // 3. Check per-wallet limit (from Redis, as extra safety on top of on-chain mintLimit guard)
-    const walletMints = (await redis.get(`wallet:${wallet}:count`)) || 0;
-    if (walletMints >= MAX_PER_WALLET) {
-      return res.status(429).json({
-        success: false,
-        error: `Wallet has already minted ${walletMints}/${MAX_PER_WALLET}. Max per wallet reached.`
+    // The challenge was priced for a given quantity
+    if (quantityResult.quantity > challengeResult.payload.quantity) {
+      return sendError(res, "QUANTITY_EXCEEDS_CHALLENGE", {
+        error: `Challenge covers up to ${challengeResult.payload.quantity} mint(s). Request one with ?quantity=${quantityResult.quantity}.`
       });
     }
 
-    // 4. Build Core Candy Machine mint transaction
-    const secretKey = (bs58.default || bs58).decode(process.env.MINT_AUTHORITY_KEY);
-    const authority = Keypair.fromSecretKey(secretKey);
+    // 3. Verify proof of work with the algorithm and difficulty signed into the challenge
+    if (!(await verifyProofOfWork(challenge, wallet, String(nonce), challengeResult.payload))) {
+      return sendError(res, "INVALID_PROOF_OF_WORK");
+    }
 
-    const umi = createUmi(RPC)
-      .use(mplCandyMachine())
-      .use(mplCore());
+    // 4. A retry of a request that already succeeded gets the same response
+    // back -- no new assets, no new reservations (see lib/idempotency.js)
+    const fingerprint = requestFingerprint([
+      wallet,
+      challengeId(challenge),
+      quantityResult.quantity,
+      feeTierResult.tier,
+      paymentResult.method,
+    ]);
+    const prior = await beginRequest(redis, wallet, keyResult.key, fingerprint);
+    if (prior.status === "replay") {
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(200).json(prior.response);
+    }
+    if (prior.status === "mismatch") return sendError(res, "IDEMPOTENCY_KEY_REUSED");
+    if (prior.status === "pending") return sendError(res, "REQUEST_IN_PROGRESS");
+    idempotency = { key: keyResult.key, fingerprint };
+
+    // Claim the challenge atomically (single use). Done before any RPC
+    // work so a replayed solution costs us nothing.
+    const ttlLeft = (challengeResult.payload.timestamp + CHALLENGE_TTL - Date.now()) / 1000;
+    claimed = await claimChallenge(redis, challenge, wallet, ttlLeft);
+    if (!claimed) {
+      return sendError(res, "CHALLENGE_ALREADY_USED");
+    }
 
-    const umiKeypair = fromWeb3JsKeypair(authority);
-    umi.use(keypairIdentity(umiKeypair));
+    // 5. Build Core Candy Machine mint transactions
+    const umi = createMintUmi();
 
     const candyMachineId = publicKey(process.env.CANDY_MACHINE);
     const collectionId = publicKey(process.env.COLLECTION_MINT);
-    const treasuryId = publicKey(process.env.TREASURY_WALLET);
-    const minterPublicKey = fromWeb3JsPublicKey(new PublicKey(wallet));
+    const minterPublicKey = fromWeb3JsPublicKey(walletResult.publicKey);
     // Create a noopSigner so UMI marks the minter as a required signer
     // in the transaction. The actual signature comes from the client.
     const minterSigner = createNoopSigner(minterPublicKey);
 
-    // Fetch candy machine to get current state
-    const candyMachine = await fetchCandyMachine(umi, candyMachineId);
-    const itemsRemaining = Number(candyMachine.data.itemsAvailable) - Number(candyMachine.itemsRedeemed);
+    // Candy machine supply and phases, from the shared state cache. A few
+    // seconds stale at most -- simulation catches a mint that just sold out.
+    const { state: candyMachine } = await getCandyMachineState(redis, umi);
+    const itemsRemaining = candyMachine.itemsAvailable - candyMachine.itemsRedeemed;
 
     if (itemsRemaining <= 0) {
-      return res.status(410).json({ success: false, error: "Sold out!" });
+      return sendError(res, "CANDY_MACHINE_EMPTY");
     }
 
-    // Generate a new signer for the Core asset
-    const asset = generateSigner(umi);
+    // The phase open right now sets price and limit; the payment method picks
+    // its Candy Guard group
+    const phaseResult = activePhase(candyMachine.phases);
+    if (!phaseResult.phase) {
+      const { code, error, next } = phaseResult;
+      return sendError(res, code, { error, next });
+    }
+    const { phase } = phaseResult;
+    const payment = phase.payments[paymentResult.method];
+    if (!payment) {
+      return sendError(res, "PAYMENT_METHOD_UNAVAILABLE", {
+        error: `The ${phase.name} phase accepts: ${Object.keys(phase.payments).join(", ")}`,
+        available: Object.keys(phase.payments),
+      });
+    }
+    const walletLimit = phase.mintLimit ? phase.mintLimit.limit : MAX_PER_WALLET;
 
-    // Build the mint instruction using Core Candy Machine mintV1
-    // payer must be the minter so they pay all costs (mint price + rent + fees)
-    const mintBuilder = mintV1(umi, {
+    const onChainCount = await fetchOnChainMintCount(umi, {
+      wallet: minterPublicKey,
       candyMachine: candyMachineId,
       candyGuard: candyMachine.mintAuthority,
-      asset,
-      collection: collectionId,
-      minter: minterSigner,
-      payer: minterSigner,
-      mintArgs: {
-        solPayment: some({ destination: treasuryId }),
-        mintLimit: some({ id: 1 }),
-        thirdPartySigner: some({ signer: umi.identity }),
-      },
-    });
-
-    // Add compute budget (Candy Machine mints need more CU)
-    const builder = transactionBuilder()
-      .add(setComputeUnitLimit(umi, { units: 800_000 }))
-      .add(mintBuilder);
-
-    // Build the transaction, setting the minter as the fee payer
-    const tx = await builder.buildWithLatestBlockhash(umi, {
-      payer: minterSigner,
+      ...(phase.mintLimit && { id: phase.mintLimit.id }),
     });
+    const wanted = Math.min(quantityResult.quantity, itemsRemaining);
 
-    // Sign with our authority key (third-party signer) and the asset signer
-    const signedTx = await umi.identity.signTransaction(tx);
-    const fullySignedTx = await asset.signTransaction(signedTx);
+    // 6. Check the minter can pay (price + asset rent + fees) for what it
+    // would be granted, before anything is reserved for it
+    const connection = new Connection(umi.rpc.getEndpoint(), "confirmed");
+    const mintOptions = {
+      candyMachine,
+      minter: minterSigner,
+      collection: collectionId,
+      phase,
+      payment,
+      feeTier: feeTierResult.tier,
+    };
+    mintOptions.microLamports = await mintPriorityFee(connection, mintOptions);
+    const allowanceLeft = walletLimit - onChainCount - (await pendingCount(redis, wallet));
+    if (allowanceLeft > 0) {
+      const quantity = Math.min(wanted, allowanceLeft);
+      const cost = await mintCost(connection, {
+        candyMachine,
+        payment,
+        quantity,
+        microLamports: mintOptions.microLamports,
+        newCounter: Boolean(phase.mintLimit) && onChainCount === 0,
+      });
+      const balance = await checkBalance(connection, wallet, cost);
+      if (!balance.ok) {
+        return sendError(res, "INSUFFICIENT_FUNDS", {
+          error: `Wallet needs ${balance.required / 1e9} SOL for ${quantity} mint(s) but has ${balance.balance / 1e9} SOL. Send at least ${balance.shortfall} more lamports.`,
+          quantity,
+          balance: balance.balance,
+          required: balance.required,
+          shortfall: balance.shortfall,
+          breakdown: balance.breakdown,
+        });
+      }
+    }
 
-    // Serialize to base64 for the agent to deserialize, sign, and submit
-    const serializedTx = Buffer.from(umi.transactions.serialize(fullySignedTx)).toString("base64");
+    // 7. Check per-wallet limit: on-chain mintLimit counter plus our pending
+    // (handed out, not yet landed) reservations. Quantity is capped to what's
+    // left of the allowance and of the supply.
+    const assets = [];
+    let pending = 0;
+    while (assets.length < wanted) {
+      // A new signer for each Core asset
+      const asset = generateSigner(umi);
+      const result = await reserveMint(redis, wallet, asset.publicKey, onChainCount, walletLimit);
+      pending = result.pending;
+      if (!result.reserved) break;
+      reservations.push(asset.publicKey);
+      assets.push(asset);
+    }
+    if (assets.length === 0) {
+      const used = onChainCount + pending;
+      if (onChainCount >= walletLimit) {
+        return sendError(res, "MINT_LIMIT_REACHED", {
+          error: `Wallet has already minted ${onChainCount}/${walletLimit} in the ${phase.name} phase. Max per wallet reached.`
+        });
+      }
+      return sendError(res, "WALLET_PENDING_LIMIT", {
+        error: `Wallet has ${used}/${walletLimit} mints minted or pending. Submit or let pending transactions expire first.`
+      });
+    }
 
-    // Record the challenge as used (prevent replay)
-    await redis.set(`challenge:${challenge.slice(0, 64)}`, wallet, { ex: 600 });
+    // 8. Build the transactions with the minter as fee payer. The blockhash
+    // is fetched explicitly so we know when the transactions expire. They're
+    // simulated first, which catches mint limit / balance / supply problems
+    // before the agent signs anything and sizes the compute limit.
+    const latestBlockhash = await umi.rpc.getLatestBlockhash();
+    const prepared = await prepareMintTransactions(umi, connection, {
+      ...mintOptions,
+      blockhash: latestBlockhash,
+    }, assets);
+    if (!prepared.ok) {
+      const { code, programError, logs } = prepared;
+      return sendError(res, code, { programError, logs });
+    }
+    const { transactions, fees } = prepared;
 
-    // Increment wallet count (optimistic -- if agent doesn't submit, it'll be slightly off but safe)
-    await redis.incr(`wallet:${wallet}:count`);
+    // A pending session per asset, with the agent identity declared on the
+    // challenge (if any). The challenge id ties later refreshes to it.
+    const agent = challengeResult.payload.agent || null;
+    await openTransactionSessions(redis, transactions, latestBlockhash, {
+      wallet,
+      agent,
+      challengeId: challengeId(challenge),
+      phase: phase.label,
+      paymentMethod: payment.method,
+      refreshes: 0,
+    });
+    consumed = true;
+    for (let i = 0; i < assets.length; i++) {
+      await recordAgentMint(redis, agent).catch((err) => console.error("Agent stats update failed:", err));
+    }
 
-    return res.status(200).json({
+    const price = formatPrice(payment);
+    const response = {
       success: true,
-      message: "Transaction ready. Sign with your wallet and submit to Solana.",
-      transaction: serializedTx,
-      asset: asset.publicKey,
+      message: transactions.length === 1
+        ? "Transaction ready. Sign with your wallet and submit to Solana."
+        : `${transactions.length} transactions ready. Sign each with your wallet and submit to Solana.`,
+      quantity: assets.length,
+      requested: quantityResult.quantity,
+      // First transaction / asset, for single-mint clients
+      transaction: transactions[0].transaction,
+      asset: transactions[0].assets[0],
+      transactions: transactions.map(({ transaction, assets: txAssets }) => ({ transaction, assets: txAssets })),
+      assets: transactions.flatMap((t) => t.assets),
+      // The transactions can land until the chain passes this block height;
+      // after that, POST /api/mint/refresh for fresh ones
+      lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+      fees,
+      phase: publicPhase(phase),
+      payment: { method: payment.method, price },
       collection: {
-        claimed: Number(candyMachine.itemsRedeemed),
+        claimed: candyMachine.itemsRedeemed,
         remaining: itemsRemaining,
-        total: Number(candyMachine.data.itemsAvailable),
+        total: candyMachine.itemsAvailable,
       },
       instructions: {
-        step1: "Deserialize the base64 transaction",
+        step1: "Deserialize each base64 transaction",
         step2: "Sign with your wallet private key",
-        step3: "Submit to the Solana network",
-        step4: "The transaction includes: 0.02 SOL payment to treasury + asset account rent",
-        totalCost: "~0.03 SOL (0.02 mint price + ~0.01 account rent + tx fees)",
+        step3: "Submit to the Solana network before lastValidBlockHeight (or POST /api/mint/refresh { wallet, challenge, signature, asset } once it has passed)",
+        step4: `Each mint includes: ${price} payment to treasury + asset account rent`,
+        totalCost: `${price} + ~0.01 SOL account rent and tx fees per mint`,
       },
-    });
+    };
+    await completeRequest(redis, wallet, idempotency.key, idempotency.fingerprint, response)
+      .catch((err) => console.error("Idempotent response store failed:", err));
+    idempotency = null;
+    return res.status(200).json(response);
   } catch (e) {
     console.error("Mint error:", e);
-    return res.status(500).json({ success: false, error: "Mint failed: " + e.message });
+    return sendError(res, "INTERNAL_ERROR");
+  } finally {
+    // Nothing was handed out -- let the agent retry with the same solution
+    if (idempotency && !consumed) {
+      await abandonRequest(redis, wallet, idempotency.key).catch((err) => console.error("Idempotency key release failed:", err));
+    }
+    if (claimed && !consumed) {
+      await releaseChallenge(redis, challenge).catch((err) => console.error("Challenge release failed:", err));
+    }
+    if (!consumed) {
+      for (const asset of reservations) {
+        await releaseReservation(redis, wallet, asset).catch((err) => console.error("Reservation release failed:", err));
+      }
+    }
   }
 };
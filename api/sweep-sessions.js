@@ -0,0 +1,34 @@
+const { Connection } = require("@solana/web3.js");
+const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
+const { mplCore } = require("@metaplex-foundation/mpl-core");
+const { redis } = require("../lib/redis");
+const { sweepExpiredSessions } = require("../lib/sessions");
+const { sendError } = require("../lib/errors");
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+
+// GET /api/sweep-sessions -- Vercel cron (see vercel.json)
+//
+// Expires mint sessions whose blockhash has lapsed and releases the wallets'
+// pending reservations. Vercel sends `Authorization: Bearer $CRON_SECRET`.
+// The every-minute schedule needs a Pro plan (see README, "Deploying");
+// reservations lapse on their own after MINT_RESERVATION_TTL regardless.
+module.exports = async (req, res) => {
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED", { error: "GET only" });
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return sendError(res, "UNAUTHORIZED");
+  }
+
+  try {
+    const connection = new Connection(RPC, "confirmed");
+    const umi = createUmi(RPC).use(mplCore());
+    const summary = await sweepExpiredSessions(redis, connection, umi);
+    console.log("Session sweep:", summary);
+    return res.status(200).json({ success: true, ...summary });
+  } catch (e) {
+    console.error("Session sweep error:", e);
+    return sendError(res, "INTERNAL_ERROR");
+  }
+};
@@ -0,0 +1,68 @@
+// Optional agent identity, declared by the agent when requesting a challenge:
+//
+//   GET /api/challenge?wallet=...&agentName=valkyrie&agentFramework=eliza&agentVersion=1.2.0&agentContact=ops@example.com
+//
+// It rides inside the signed challenge payload, is stored with the mint
+// record, and feeds the aggregate breakdowns in /api/collection. Nothing is
+// verified -- it's self-reported.
+
+const FIELDS = {
+  name: { param: "agentName", max: 64 },
+  framework: { param: "agentFramework", max: 32 },
+  version: { param: "agentVersion", max: 32 },
+  contact: { param: "agentContact", max: 128 },
+};
+
+const PRINTABLE = /^[\x20-\x7E]+$/;
+
+const STATS_KEYS = {
+  declared: "stats:agents:declared",
+  framework: "stats:agents:framework",
+  name: "stats:agents:name",
+};
+
+// Returns { valid, agent } where agent is null when nothing was declared
+function parseAgentIdentity(query = {}) {
+  const agent = {};
+  for (const [field, { param, max }] of Object.entries(FIELDS)) {
+    if (query[param] === undefined) continue;
+    const value = typeof query[param] === "string" ? query[param].trim() : null;
+    if (value === "") continue;
+    if (value === null || value.length > max || !PRINTABLE.test(value)) {
+      return { valid: false, code: "INVALID_AGENT_IDENTITY", error: `${param} must be printable ASCII, at most ${max} characters` };
+    }
+    agent[field] = value;
+  }
+  return { valid: true, agent: Object.keys(agent).length ? agent : null };
+}
+
+// Bump aggregate counters for a successful mint
+async function recordAgentMint(redis, agent) {
+  await redis.hincrby(STATS_KEYS.declared, agent ? "declared" : "anonymous", 1);
+  if (!agent) return;
+  if (agent.framework) await redis.hincrby(STATS_KEYS.framework, agent.framework.toLowerCase(), 1);
+  if (agent.name) await redis.hincrby(STATS_KEYS.name, agent.name, 1);
+}
+
+function topEntries(hash, limit) {
+  return Object.entries(hash || {})
+    .map(([key, count]) => [key, Number(count)])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
+async function agentStats(redis, { topAgents = 10 } = {}) {
+  const [declared, frameworks, names] = await Promise.all([
+    redis.hgetall(STATS_KEYS.declared),
+    redis.hgetall(STATS_KEYS.framework),
+    redis.hgetall(STATS_KEYS.name),
+  ]);
+  return {
+    declared: Number((declared && declared.declared) || 0),
+    anonymous: Number((declared && declared.anonymous) || 0),
+    frameworks: Object.fromEntries(topEntries(frameworks, Infinity)),
+    topAgents: topEntries(names, topAgents).map(([name, mints]) => ({ name, mints })),
+  };
+}
+
+module.exports = { FIELDS, parseAgentIdentity, recordAgentMint, agentStats };
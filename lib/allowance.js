@@ -0,0 +1,81 @@
+const { safeFetchMintCounterFromSeeds } = require("@metaplex-foundation/mpl-core-candy-machine");
+
+// Per-wallet mint allowance.
+//
+// The source of truth is the Candy Guard mintLimit counter PDA (id 1, or the
+// active phase's id and limit -- see lib/phases.js), which
+// the program increments only when a mint actually lands. Redis holds short
+// pending reservations on top of it -- one sorted-set member per transaction
+// we've handed out, scored by expiry -- so a wallet can't collect more
+// unsigned transactions than it has allowance left. A transaction that is
+// never submitted simply ages out of the set.
+//
+// `wallet:<addr>:count` is kept as a mirror of the last on-chain count we saw
+// (for dashboards); scripts/reconcile-wallet-counts.js repairs drift in it.
+
+const MINT_LIMIT_ID = 1;
+const MAX_PER_WALLET = parseInt(process.env.MAX_PER_WALLET || "10");
+const RESERVATION_TTL = parseInt(process.env.MINT_RESERVATION_TTL || "150"); // seconds, > blockhash lifetime
+const MAX_QUANTITY = Math.min(MAX_PER_WALLET, parseInt(process.env.MAX_MINT_QUANTITY || "5")); // per request
+
+const pendingKey = (wallet) => `wallet:${wallet}:pending`;
+const countKey = (wallet) => `wallet:${wallet}:count`;
+
+async function fetchOnChainMintCount(umi, { wallet, candyMachine, candyGuard, id = MINT_LIMIT_ID }) {
+  const counter = await safeFetchMintCounterFromSeeds(umi, {
+    id,
+    user: wallet,
+    candyMachine,
+    candyGuard,
+  });
+  return counter ? counter.count : 0;
+}
+
+async function pendingCount(redis, wallet) {
+  await redis.zremrangebyscore(pendingKey(wallet), "-inf", Date.now());
+  return redis.zcard(pendingKey(wallet));
+}
+
+// Reserve one mint for `asset`. Add-then-check: concurrent requests that
+// overshoot all back out, so the limit can't be exceeded.
+async function reserveMint(redis, wallet, asset, onChainCount, limit = MAX_PER_WALLET) {
+  const key = pendingKey(wallet);
+  await redis.zadd(key, { score: Date.now() + RESERVATION_TTL * 1000, member: asset });
+  await redis.expire(key, RESERVATION_TTL);
+  const pending = await pendingCount(redis, wallet);
+
+  if (onChainCount + pending > limit) {
+    await redis.zrem(key, asset);
+    return { reserved: false, pending: pending - 1 };
+  }
+  await redis.set(countKey(wallet), onChainCount);
+  return { reserved: true, pending };
+}
+
+// `quantity` from a request; absent means 1
+function parseQuantity(value) {
+  if (value === undefined || value === null || value === "") return { valid: true, quantity: 1 };
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+    return { valid: false, code: "INVALID_QUANTITY", error: `quantity must be an integer from 1 to ${MAX_QUANTITY}` };
+  }
+  return { valid: true, quantity };
+}
+
+async function releaseReservation(redis, wallet, asset) {
+  await redis.zrem(pendingKey(wallet), asset);
+}
+
+module.exports = {
+  MINT_LIMIT_ID,
+  MAX_PER_WALLET,
+  RESERVATION_TTL,
+  MAX_QUANTITY,
+  countKey,
+  pendingKey,
+  fetchOnChainMintCount,
+  pendingCount,
+  reserveMint,
+  releaseReservation,
+  parseQuantity,
+};
@@ -0,0 +1,63 @@
+const { PublicKey } = require("@solana/web3.js");
+const { isSome } = require("@metaplex-foundation/umi");
+const { getMintCounterSize } = require("@metaplex-foundation/mpl-core-candy-machine");
+const { MINTS_PER_TRANSACTION, CU_PER_MINT, MAX_CU } = require("./mint-tx");
+
+// Pre-flight balance check. The minter is the payer for everything in a
+// mint: the solPayment price, rent for each Core asset account (and for the
+// mintLimit counter on the wallet's first mint in a phase), and the
+// transaction fees. Checked before any reservation is made, so a wallet that
+// can't pay never holds part of its allowance.
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+// AssetV1 with no plugins: key, owner, update authority (collection), name
+// and uri (u32 length-prefixed), seq (None)
+const ASSET_BASE_SIZE = 1 + 32 + 33 + 4 + 4 + 1;
+
+// Largest asset account the candy machine can create: prefix plus the
+// longest config line name/uri, or the hidden settings name/uri
+function assetAccountSize(candyMachine) {
+  const { configLineSettings, hiddenSettings } = candyMachine.data;
+  if (isSome(configLineSettings)) {
+    const { prefixName, nameLength, prefixUri, uriLength } = configLineSettings.value;
+    return ASSET_BASE_SIZE + Buffer.byteLength(prefixName) + nameLength + Buffer.byteLength(prefixUri) + uriLength;
+  }
+  const { name, uri } = hiddenSettings.value;
+  return ASSET_BASE_SIZE + Buffer.byteLength(name) + Buffer.byteLength(uri);
+}
+
+// Lamports `quantity` mints cost the minter. `candyMachine` is the cached
+// state (lib/candy-machine-state.js). Fees use the compute limits the draft
+// transactions get (an upper bound -- simulation only lowers them).
+async function mintCost(connection, { candyMachine, payment, quantity, microLamports, newCounter }) {
+  const [assetRent, counterRent] = await Promise.all([
+    connection.getMinimumBalanceForRentExemption(candyMachine.assetAccountSize),
+    newCounter ? connection.getMinimumBalanceForRentExemption(getMintCounterSize()) : 0,
+  ]);
+
+  let fees = 0;
+  for (let left = quantity; left > 0; left -= MINTS_PER_TRANSACTION) {
+    const mints = Math.min(left, MINTS_PER_TRANSACTION);
+    // minter, mint authority and one per asset signer
+    fees += (2 + mints) * LAMPORTS_PER_SIGNATURE;
+    fees += Math.ceil((Math.min(MAX_CU, CU_PER_MINT * mints) * microLamports) / 1_000_000);
+  }
+
+  const breakdown = {
+    price: payment.method === "sol" ? payment.lamports * quantity : 0,
+    assetRent: assetRent * quantity,
+    counterRent,
+    fees,
+  };
+  return { lamports: Object.values(breakdown).reduce((sum, n) => sum + n, 0), breakdown };
+}
+
+// { ok, balance, required, shortfall, breakdown } for `wallet` (base58)
+async function checkBalance(connection, wallet, cost) {
+  const balance = await connection.getBalance(new PublicKey(wallet), "confirmed");
+  const shortfall = Math.max(0, cost.lamports - balance);
+  return { ok: shortfall === 0, balance, required: cost.lamports, shortfall, breakdown: cost.breakdown };
+}
+
+module.exports = { assetAccountSize, mintCost, checkBalance };
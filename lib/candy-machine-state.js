@@ -0,0 +1,66 @@
+const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
+const { mplCandyMachine, fetchCandyMachine } = require("@metaplex-foundation/mpl-core-candy-machine");
+const { mplCore } = require("@metaplex-foundation/mpl-core");
+const { publicKey } = require("@metaplex-foundation/umi");
+const { waitUntil } = require("@vercel/functions");
+const { fetchPhases } = require("./phases");
+const { assetAccountSize } = require("./balance");
+
+// Shared candy machine state cache, so page views and mint requests don't
+// each fetch the candy machine and guard from the RPC.
+//
+//   cm:state          { state, fetchedAt } -- kept for STATE_MAX_AGE
+//   cm:state:refresh  lock: one revalidation at a time
+//
+// Fresh for STATE_TTL seconds. After that the stale copy is still served
+// while one request refetches it in the background -- kept alive past the
+// response with waitUntil, as Vercel otherwise freezes the function once it
+// has responded. Only a missing (or older than STATE_MAX_AGE) entry is
+// fetched before responding. Supply and phase dates are double-checked
+// on-chain anyway: the mint simulation and the guards reject a sold-out or
+// closed mint whatever the cache says.
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+const STATE_TTL = parseInt(process.env.CANDY_MACHINE_CACHE_TTL || "5"); // seconds fresh
+const STATE_MAX_AGE = 60; // seconds a stale copy may still be served
+const STATE_KEY = "cm:state";
+const REFRESH_KEY = "cm:state:refresh";
+
+// What the API needs from the candy machine and its guard, as plain JSON
+async function fetchCandyMachineState(umi = createUmi(RPC).use(mplCandyMachine()).use(mplCore())) {
+  const candyMachine = await fetchCandyMachine(umi, publicKey(process.env.CANDY_MACHINE));
+  return {
+    publicKey: candyMachine.publicKey,
+    mintAuthority: candyMachine.mintAuthority,
+    itemsRedeemed: Number(candyMachine.itemsRedeemed),
+    itemsAvailable: Number(candyMachine.data.itemsAvailable),
+    assetAccountSize: assetAccountSize(candyMachine),
+    phases: await fetchPhases(umi, candyMachine),
+  };
+}
+
+async function refreshState(redis, umi) {
+  const state = await fetchCandyMachineState(umi);
+  await redis.set(STATE_KEY, { state, fetchedAt: Date.now() }, { ex: STATE_MAX_AGE });
+  return state;
+}
+
+// { state, age } -- age in seconds, for Cache-Control
+async function getCandyMachineState(redis, umi) {
+  const cached = await redis.get(STATE_KEY);
+  if (!cached) return { state: await refreshState(redis, umi), age: 0 };
+
+  const age = Math.floor((Date.now() - cached.fetchedAt) / 1000);
+  if (age >= STATE_TTL && (await redis.set(REFRESH_KEY, 1, { nx: true, ex: 10 })) === "OK") {
+    // On failure the lock stays until it expires, so a failing RPC isn't
+    // retried by every request
+    waitUntil(
+      refreshState(redis, umi)
+        .then(() => redis.del(REFRESH_KEY))
+        .catch((err) => console.error("Candy machine state refresh failed:", err))
+    );
+  }
+  return { state: cached.state, age };
+}
+
+module.exports = { STATE_TTL, fetchCandyMachineState, getCandyMachineState };
@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+const { getAlgorithm } = require("./pow");
+const { loadChallengeKeys } = require("./secrets");
+
+const CHALLENGE_TTL = 300_000; // 5 min
+
+// Loaded once at cold start so a misconfigured deployment fails immediately
+const { keys, activeKid } = loadChallengeKeys();
+
+// Token format: <kid>.<hmac>.<payload>. The HMAC covers the kid as well as the
+// payload so a token can't be re-labelled with another key id.
+function sign(kid, payloadB64) {
+  return crypto.createHmac("sha256", keys.get(kid)).update(`${kid}.${payloadB64}`).digest("hex");
+}
+
+// Issue a signed challenge token. Everything the verifier needs (PoW
+// algorithm, its parameters and the difficulty) lives inside the HMAC'd
+// payload so it can't be edited, along with the optional agent identity.
+function createChallenge(wallet, { algorithm, difficulty, params, quantity = 1, agent = null }) {
+  const timestamp = Date.now();
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const payload = JSON.stringify({
+    wallet,
+    timestamp,
+    nonce,
+    algorithm,
+    difficulty,
+    params,
+    quantity,
+    ...(agent && { agent }),
+  });
+  const payloadB64 = Buffer.from(payload).toString("base64url");
+
+  return {
+    challenge: `${activeKid}.${sign(activeKid, payloadB64)}.${payloadB64}`,
+    payload: JSON.parse(payload),
+  };
+}
+
+const invalid = (error, code = "INVALID_CHALLENGE") => ({ valid: false, code, error });
+
+// `maxAge` (ms) defaults to the challenge lifetime; /api/mint/refresh accepts
+// older challenges that already paid for a mint.
+function verifyChallenge(challenge, wallet, { maxAge = CHALLENGE_TTL } = {}) {
+  const [kid, hmac, payloadB64, extra] = challenge.split(".");
+  if (!kid || !hmac || !payloadB64 || extra !== undefined) return invalid("Malformed challenge");
+  if (!keys.has(kid)) return invalid("Unknown challenge key");
+
+  const expected = Buffer.from(sign(kid, payloadB64), "hex");
+  const given = Buffer.from(hmac, "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return invalid("Invalid challenge signature");
+  }
+
+  const payload = JSON.parse(Buffer.from(payloadB64, "base64url").toString());
+  if (payload.wallet !== wallet) return invalid("Wallet mismatch");
+  if (Date.now() - payload.timestamp > maxAge) return invalid("Challenge expired", "CHALLENGE_EXPIRED");
+  if (!Number.isInteger(payload.difficulty) || payload.difficulty < 0 || payload.difficulty > 256) {
+    return invalid("Malformed challenge");
+  }
+  if (!getAlgorithm(payload.algorithm)) return invalid("Unsupported challenge algorithm");
+  if (!Number.isInteger(payload.quantity) || payload.quantity < 1) return invalid("Malformed challenge");
+
+  return { valid: true, payload };
+}
+
+module.exports = { CHALLENGE_TTL, createChallenge, verifyChallenge };
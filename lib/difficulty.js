@@ -0,0 +1,60 @@
+const { ALGORITHMS } = require("./pow");
+
+// Adaptive PoW difficulty. Challenge issuance is counted in one-minute
+// buckets in Redis. Every POW_STEP_VOLUME challenges in the trailing minute
+// raise the load level by one, and each level adds one leading zero bit (2x
+// work) on top of the algorithm's minimum, up to its maximum.
+
+const STEP_VOLUME = parseInt(process.env.POW_STEP_VOLUME || "60");
+const BUCKET_MS = 60_000;
+
+function bucketKey(bucket) {
+  return `pow:volume:${bucket}`;
+}
+
+// Trailing one-minute volume, approximated from the current bucket plus the
+// unexpired share of the previous one
+async function recentVolume(redis, now = Date.now()) {
+  const bucket = Math.floor(now / BUCKET_MS);
+  const [current, previous] = await Promise.all([
+    redis.get(bucketKey(bucket)),
+    redis.get(bucketKey(bucket - 1)),
+  ]);
+  const elapsed = (now % BUCKET_MS) / BUCKET_MS;
+  return Number(current || 0) + Number(previous || 0) * (1 - elapsed);
+}
+
+function difficultyForVolume(algorithm, volume) {
+  const { minDifficulty, maxDifficulty } = ALGORITHMS[algorithm];
+  const level = Math.floor(volume / STEP_VOLUME);
+  return Math.min(maxDifficulty, minDifficulty + level);
+}
+
+async function currentDifficulty(redis, algorithm) {
+  try {
+    return difficultyForVolume(algorithm, await recentVolume(redis));
+  } catch (e) {
+    console.error("Difficulty lookup failed:", e.message);
+    return ALGORITHMS[algorithm].minDifficulty;
+  }
+}
+
+// Count a newly issued challenge and return the difficulty it should carry
+async function recordChallenge(redis, algorithm) {
+  const key = bucketKey(Math.floor(Date.now() / BUCKET_MS));
+  try {
+    const count = await redis.incr(key);
+    if (count === 1) await redis.expire(key, (BUCKET_MS / 1000) * 2);
+  } catch (e) {
+    console.error("Difficulty bookkeeping failed:", e.message);
+  }
+  return currentDifficulty(redis, algorithm);
+}
+
+// A challenge good for several mints costs proportionally more work: one
+// extra bit per doubling of quantity
+function scaleForQuantity(difficulty, quantity) {
+  return Math.min(256, difficulty + Math.ceil(Math.log2(quantity)));
+}
+
+module.exports = { currentDifficulty, recordChallenge, difficultyForVolume, scaleForQuantity };
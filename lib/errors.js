@@ -0,0 +1,90 @@
+// Error catalog. Every failed API response is
+//
+//   { success: false, code, error, retryable, ...details }
+//
+// `code` is stable -- agents should branch on it, never on `error`, which is
+// human-readable and may change. `retryable` means the same request can
+// succeed later without changes (after Retry-After, or once the chain or our
+// state catches up). The catalog is served at /api/errors (and /errors.json).
+//
+// Codes are only ever added; a code's meaning and status don't change.
+
+const CATALOG_VERSION = 1;
+
+const ERRORS = {
+  // Request shape
+  METHOD_NOT_ALLOWED: { status: 405, retryable: false, message: "HTTP method not supported by this endpoint." },
+  INVALID_REQUEST: { status: 400, retryable: false, message: "Missing or malformed request field." },
+  INVALID_WALLET: { status: 400, retryable: false, message: "wallet is not a valid Solana address." },
+  INVALID_QUANTITY: { status: 400, retryable: false, message: "quantity is out of range." },
+  INVALID_FEE_TIER: { status: 400, retryable: false, message: "feeTier must be low, normal or urgent." },
+  INVALID_IDEMPOTENCY_KEY: { status: 400, retryable: false, message: "Idempotency-Key must be 1-255 printable ASCII characters." },
+  INVALID_PAYMENT_METHOD: { status: 400, retryable: false, message: "paymentMethod must be sol or token." },
+  INVALID_AGENT_IDENTITY: { status: 400, retryable: false, message: "Agent identity parameter is malformed." },
+  UNSUPPORTED_ALGORITHM: { status: 400, retryable: false, message: "Proof-of-work algorithm is not enabled." },
+  RATE_LIMITED: { status: 429, retryable: true, message: "Rate limit exceeded. Retry after Retry-After seconds." },
+  UNAUTHORIZED: { status: 401, retryable: false, message: "Missing or invalid credentials." },
+
+  // Challenge and proof of work
+  INVALID_CHALLENGE: { status: 400, retryable: false, message: "Challenge is malformed, forged or for another wallet." },
+  CHALLENGE_EXPIRED: { status: 400, retryable: false, message: "Challenge expired. Request a new one." },
+  CHALLENGE_ALREADY_USED: { status: 409, retryable: false, message: "Challenge already used. Request a new one." },
+  QUANTITY_EXCEEDS_CHALLENGE: { status: 400, retryable: false, message: "Challenge was issued for fewer mints. Request one with ?quantity=N." },
+  INVALID_PROOF_OF_WORK: { status: 400, retryable: false, message: "Nonce doesn't meet the challenge's difficulty." },
+  INVALID_WALLET_SIGNATURE: { status: 401, retryable: false, message: "Invalid wallet signature over the challenge string." },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, retryable: false, message: "Idempotency key was already used for a different mint request." },
+  REQUEST_IN_PROGRESS: { status: 409, retryable: true, message: "A request with this idempotency key is still running. Retry shortly." },
+
+  // Minting
+  CANDY_MACHINE_EMPTY: { status: 410, retryable: false, message: "Sold out!" },
+  MINT_LIMIT_REACHED: { status: 429, retryable: false, message: "Wallet has reached its mint limit." },
+  WALLET_PENDING_LIMIT: { status: 429, retryable: true, message: "Wallet's allowance is held by pending mints. Submit them or let them expire." },
+  INSUFFICIENT_FUNDS: { status: 402, retryable: false, message: "Wallet can't cover the mint price, asset rent and fees." },
+  PAYMENT_METHOD_UNAVAILABLE: { status: 400, retryable: false, message: "The current phase doesn't accept this payment method." },
+  MINT_NOT_LIVE: { status: 403, retryable: true, message: "Minting hasn't started yet." },
+  MINT_ENDED: { status: 403, retryable: false, message: "Minting has ended." },
+  SIMULATION_FAILED: { status: 422, retryable: false, message: "Mint transaction failed simulation." },
+  BLOCKHASH_NOT_FOUND: { status: 503, retryable: true, message: "RPC node didn't recognise the blockhash." },
+
+  // Mint transactions and sessions
+  ASSET_NOT_FOUND: { status: 404, retryable: false, message: "Unknown asset. Only mints issued by /api/mint are tracked." },
+  WALLET_MISMATCH: { status: 403, retryable: false, message: "Belongs to a different wallet." },
+  UNKNOWN_TRANSACTION: { status: 422, retryable: false, message: "Not an unmodified transaction from /api/mint, or it has expired." },
+  MISSING_SIGNATURES: { status: 400, retryable: false, message: "Transaction is missing required signatures." },
+  TRANSACTION_NOT_FOUND: { status: 404, retryable: true, message: "Transaction not found. It may not be confirmed yet." },
+  TRANSACTION_FAILED: { status: 422, retryable: false, message: "Transaction failed on-chain." },
+  TRANSACTION_EXPIRED: { status: 410, retryable: false, message: "Blockhash expired before the transaction landed. Refresh it via /api/mint/refresh." },
+  TRANSACTION_STILL_VALID: { status: 409, retryable: true, message: "Transaction can still land. Submit it, or retry after lastValidBlockHeight." },
+  NOT_A_MINT: { status: 422, retryable: false, message: "Transaction didn't mint a Neural Norse asset through our Candy Guard." },
+  ALREADY_MINTED: { status: 409, retryable: false, message: "Already minted." },
+  ALREADY_REFRESHED: { status: 409, retryable: false, message: "Already refreshed. Use the replacement asset." },
+  REFRESH_LIMIT_REACHED: { status: 409, retryable: false, message: "Refresh limit reached. Request a new challenge." },
+  REFRESH_IN_PROGRESS: { status: 409, retryable: true, message: "A refresh of this transaction is in progress." },
+
+  INTERNAL_ERROR: { status: 500, retryable: true, message: "Internal error. Retry shortly." },
+};
+
+// Body for a failed response. `error` overrides the catalog message with a
+// more specific one; anything else is passed through as details.
+function errorBody(code, { error, ...details } = {}) {
+  const { retryable, message } = ERRORS[code];
+  return { success: false, code, error: error || message, retryable, ...details };
+}
+
+function sendError(res, code, details) {
+  return res.status(ERRORS[code].status).json(errorBody(code, details));
+}
+
+function errorCatalog() {
+  return {
+    version: CATALOG_VERSION,
+    errors: Object.entries(ERRORS).map(([code, { status, retryable, message }]) => ({
+      code,
+      status,
+      retryable,
+      description: message,
+    })),
+  };
+}
+
+module.exports = { ERRORS, errorBody, sendError, errorCatalog };
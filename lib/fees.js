@@ -0,0 +1,42 @@
+const { PublicKey } = require("@solana/web3.js");
+
+// Priority fees. The compute unit price is a percentile of the fees recently
+// paid by transactions that write to the same accounts as our mints (the
+// candy machine and the collection), picked by the fee tier the agent asks
+// for and capped at MAX_PRIORITY_FEE.
+
+const FEE_TIERS = { low: 25, normal: 50, urgent: 90 }; // percentile of recent fees
+const DEFAULT_FEE_TIER = "normal";
+const MAX_PRIORITY_FEE = parseInt(process.env.MAX_PRIORITY_FEE || "1000000"); // micro-lamports per CU
+
+// `feeTier` from a request; absent means normal
+function parseFeeTier(value) {
+  if (value === undefined || value === null || value === "") return { valid: true, tier: DEFAULT_FEE_TIER };
+  if (!Object.hasOwn(FEE_TIERS, value)) {
+    return { valid: false, code: "INVALID_FEE_TIER", error: `feeTier must be one of: ${Object.keys(FEE_TIERS).join(", ")}` };
+  }
+  return { valid: true, tier: value };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * p) / 100))];
+}
+
+// Micro-lamports per CU for `tier`. Falls back to 0 (no priority fee) if the
+// RPC call fails.
+async function priorityFee(connection, writableAccounts, tier) {
+  let fees;
+  try {
+    fees = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts.map((account) => new PublicKey(account)),
+    });
+  } catch (e) {
+    console.error("Priority fee lookup failed:", e.message);
+    return 0;
+  }
+  const sorted = fees.map((f) => f.prioritizationFee).sort((a, b) => a - b);
+  return Math.min(MAX_PRIORITY_FEE, percentile(sorted, FEE_TIERS[tier]));
+}
+
+module.exports = { FEE_TIERS, DEFAULT_FEE_TIER, MAX_PRIORITY_FEE, parseFeeTier, priorityFee };
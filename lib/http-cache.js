@@ -0,0 +1,22 @@
+const crypto = require("crypto");
+
+// Conditional GET for public JSON responses: a weak ETag over the body, and
+// 304 Not Modified when the client already has it.
+
+function etagFor(body) {
+  return `W/"${crypto.createHash("sha1").update(JSON.stringify(body)).digest("base64url")}"`;
+}
+
+function sendCacheable(req, res, body, { maxAge, staleWhileRevalidate = maxAge * 6 }) {
+  const etag = etagFor(body);
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", `public, max-age=${maxAge}, s-maxage=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`);
+
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch && ifNoneMatch.split(",").some((tag) => tag.trim() === etag || tag.trim() === "*")) {
+    return res.status(304).end();
+  }
+  return res.status(200).json(body);
+}
+
+module.exports = { etagFor, sendCacheable };
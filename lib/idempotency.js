@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const { challengeId } = require("./replay");
+const { RESERVATION_TTL } = require("./allowance");
+
+// Idempotent /api/mint. A retry with the same key (the Idempotency-Key
+// header, or else the challenge itself) gets back the exact response the
+// first request got -- same serialized transactions, same assets -- instead
+// of a new build. Responses are kept for RESERVATION_TTL, longer than the
+// blockhash lives; after that the agent refreshes via /api/mint/refresh.
+//
+//   mint:idem:<wallet>:<sha256(key)>  { fingerprint, status, response }
+//
+// `status` is "pending" while the first request is in flight. `fingerprint`
+// covers the request parameters, so a key can't be reused for a different
+// mint. Only successful responses are stored; a failed request clears its
+// key so the retry runs again.
+
+const PENDING_TTL = 60; // seconds, longer than a mint request takes
+const MAX_KEY_LENGTH = 255;
+
+const idempotencyKey = (wallet, key) =>
+  `mint:idem:${wallet}:${crypto.createHash("sha256").update(key).digest("hex")}`;
+
+// Key for this request: the Idempotency-Key header if sent, else the
+// challenge hash
+function parseIdempotencyKey(header, challenge) {
+  if (header === undefined) return { valid: true, key: challengeId(challenge) };
+  if (typeof header !== "string" || !header.length || header.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(header)) {
+    return {
+      valid: false,
+      code: "INVALID_IDEMPOTENCY_KEY",
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable ASCII characters`,
+    };
+  }
+  return { valid: true, key: header };
+}
+
+function requestFingerprint(params) {
+  return crypto.createHash("sha256").update(JSON.stringify(params)).digest("hex");
+}
+
+// Claim `key` for a new request. Returns { status: "new" }, { status:
+// "replay", response } for a stored response, { status: "pending" } while
+// the first request is still running, or { status: "mismatch" } if the key
+// was used for different parameters.
+async function beginRequest(redis, wallet, key, fingerprint) {
+  const redisKey = idempotencyKey(wallet, key);
+  const claimed = await redis.set(redisKey, { fingerprint, status: "pending" }, { nx: true, ex: PENDING_TTL });
+  if (claimed === "OK") return { status: "new" };
+
+  const stored = await redis.get(redisKey);
+  if (!stored) return beginRequest(redis, wallet, key, fingerprint); // expired in between
+  if (stored.fingerprint !== fingerprint) return { status: "mismatch" };
+  if (stored.status === "pending") return { status: "pending" };
+  return { status: "replay", response: stored.response };
+}
+
+async function completeRequest(redis, wallet, key, fingerprint, response) {
+  await redis.set(idempotencyKey(wallet, key), { fingerprint, status: "done", response }, { ex: RESERVATION_TTL });
+}
+
+async function abandonRequest(redis, wallet, key) {
+  await redis.del(idempotencyKey(wallet, key));
+}
+
+module.exports = {
+  idempotencyKey,
+  parseIdempotencyKey,
+  requestFingerprint,
+  beginRequest,
+  completeRequest,
+  abandonRequest,
+};
@@ -0,0 +1,185 @@
+/**
+ * In-memory stand-in for the subset of @upstash/redis used by the API.
+ *
+ * Values round-trip through JSON the same way Upstash's automatic
+ * deserialization does, so a number written with `set` comes back as a
+ * number and `incr` works on it. Used when KV_REST_API_URL is not set
+ * (local `vercel dev`) and for exercising handlers without a real store.
+ */
+
+class MemoryRedis {
+  constructor() {
+    this.store = new Map();
+  }
+
+  _entry(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  _expiry(opts = {}) {
+    if (opts.ex !== undefined) return Date.now() + opts.ex * 1000;
+    if (opts.px !== undefined) return Date.now() + opts.px;
+    return null;
+  }
+
+  async get(key) {
+    const entry = this._entry(key);
+    if (!entry) return null;
+    try {
+      return JSON.parse(entry.value);
+    } catch {
+      return entry.value;
+    }
+  }
+
+  async set(key, value, opts = {}) {
+    const existing = this._entry(key);
+    if (opts.nx && existing) return null;
+    if (opts.xx && !existing) return null;
+    const serialized = typeof value === "string" ? value : JSON.stringify(value);
+    this.store.set(key, { value: serialized, expiresAt: this._expiry(opts) });
+    return "OK";
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this._entry(key)) removed++;
+      this.store.delete(key);
+    }
+    return removed;
+  }
+
+  async incrby(key, amount) {
+    const entry = this._entry(key);
+    const current = entry ? Number(entry.value) : 0;
+    if (Number.isNaN(current)) throw new Error("ERR value is not an integer or out of range");
+    const next = current + amount;
+    this.store.set(key, { value: String(next), expiresAt: entry ? entry.expiresAt : null });
+    return next;
+  }
+
+  async incr(key) {
+    return this.incrby(key, 1);
+  }
+
+  async decr(key) {
+    return this.incrby(key, -1);
+  }
+
+  async expire(key, seconds) {
+    const entry = this._entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  // Hashes are stored as Map<field, value>
+  _hash(key, create = false) {
+    const entry = this._entry(key);
+    if (entry) return entry.value;
+    if (!create) return null;
+    const hash = new Map();
+    this.store.set(key, { value: hash, expiresAt: null });
+    return hash;
+  }
+
+  async hincrby(key, field, amount) {
+    const hash = this._hash(key, true);
+    const next = Number(hash.get(field) || 0) + amount;
+    hash.set(field, next);
+    return next;
+  }
+
+  async hgetall(key) {
+    const hash = this._hash(key);
+    if (!hash || hash.size === 0) return null;
+    return Object.fromEntries(hash);
+  }
+
+  // Sorted sets are stored as Map<member, score>
+  _zset(key, create = false) {
+    const entry = this._entry(key);
+    if (entry) return entry.value;
+    if (!create) return null;
+    const zset = new Map();
+    this.store.set(key, { value: zset, expiresAt: null });
+    return zset;
+  }
+
+  async zadd(key, ...scoreMembers) {
+    const zset = this._zset(key, true);
+    let added = 0;
+    for (const { score, member } of scoreMembers) {
+      if (!zset.has(member)) added++;
+      zset.set(member, Number(score));
+    }
+    return added;
+  }
+
+  async zrem(key, ...members) {
+    const zset = this._zset(key);
+    if (!zset) return 0;
+    let removed = 0;
+    for (const member of members) {
+      if (zset.delete(member)) removed++;
+    }
+    return removed;
+  }
+
+  async zcard(key) {
+    const zset = this._zset(key);
+    return zset ? zset.size : 0;
+  }
+
+  async zrange(key, start, stop, opts = {}) {
+    const zset = this._zset(key);
+    if (!zset) return [];
+    const sorted = [...zset.entries()].sort((a, b) => a[1] - b[1]);
+    if (opts.byScore) {
+      const lo = start === "-inf" ? -Infinity : Number(start);
+      const hi = stop === "+inf" ? Infinity : Number(stop);
+      return sorted.filter(([, score]) => score >= lo && score <= hi).map(([member]) => member);
+    }
+    return sorted.map(([member]) => member).slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const zset = this._zset(key);
+    if (!zset) return 0;
+    const lo = min === "-inf" ? -Infinity : Number(min);
+    const hi = max === "+inf" ? Infinity : Number(max);
+    let removed = 0;
+    for (const [member, score] of zset) {
+      if (score >= lo && score <= hi) {
+        zset.delete(member);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Single-pass scan: returns every matching key with cursor "0"
+  async scan(cursor, { match = "*" } = {}) {
+    const pattern = new RegExp(
+      "^" + match.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$"
+    );
+    const keys = [...this.store.keys()].filter((key) => this._entry(key) && pattern.test(key));
+    return ["0", keys];
+  }
+
+  async ttl(key) {
+    const entry = this._entry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+}
+
+module.exports = { MemoryRedis };
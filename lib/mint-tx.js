@@ -0,0 +1,227 @@
+const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
+const { mplCandyMachine, mintV1 } = require("@metaplex-foundation/mpl-core-candy-machine");
+const { mplCore } = require("@metaplex-foundation/mpl-core");
+const {
+  signerIdentity,
+  some,
+  none,
+  publicKey,
+  transactionBuilder,
+  generateSigner,
+  createNoopSigner,
+} = require("@metaplex-foundation/umi");
+const {
+  setComputeUnitLimit,
+  setComputeUnitPrice,
+  safeFetchAddressLookupTable,
+} = require("@metaplex-foundation/mpl-toolbox");
+const { messageHash } = require("./mints");
+const { priorityFee } = require("./fees");
+const { simulateMintTransactions } = require("./simulate");
+const { createMintAuthoritySigner } = require("./signer");
+
+// Builds the partially-signed Candy Guard mint transactions handed to agents.
+// Mints are packed greedily: up to MINTS_PER_TRANSACTION per transaction, as
+// long as the transaction still fits in a packet. Each mint has its own asset
+// signer. We sign as third-party signer and with the asset keys; the minter's
+// signature is the only one left for the agent to add.
+//
+// prepareMintTransactions builds them twice: first with a generous compute
+// limit to simulate, then with the limit sized from what the simulation used.
+//
+// They're v0 transactions. With MINT_LOOKUP_TABLE set, the accounts every
+// mint shares (candy machine, guard, collection, treasury, programs passed as
+// accounts) are loaded from that address lookup table instead of listed in
+// full -- see scripts/create-lookup-table.js.
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+const MINTS_PER_TRANSACTION = parseInt(process.env.MINTS_PER_TRANSACTION || "1");
+const CU_PER_MINT = 800_000; // upper bound per mint, until simulation sizes it
+const CU_MARGIN = 1.2; // headroom over simulated usage
+const MAX_CU = 1_400_000;
+const LOOKUP_TABLE_TTL = 300_000; // ms; the table only changes when an admin extends it
+
+// UMI with the Candy Machine and Core programs, signing as the mint authority
+// (the Candy Guard's third-party signer; see lib/signer.js)
+function createMintUmi() {
+  const umi = createUmi(RPC)
+    .use(mplCandyMachine())
+    .use(mplCore());
+  umi.use(signerIdentity(createMintAuthoritySigner(umi)));
+  return umi;
+}
+
+// Mint args follow the guards of the Candy Guard group for the phase and
+// payment method being minted
+function mintInstruction(umi, { candyMachine, minter, asset, collection, phase, payment }) {
+  // payer must be the minter so they pay all costs (mint price + rent + fees)
+  return mintV1(umi, {
+    candyMachine: candyMachine.publicKey,
+    candyGuard: candyMachine.mintAuthority,
+    asset,
+    collection,
+    minter,
+    payer: minter,
+    group: payment.group ? some(payment.group) : none(),
+    mintArgs: {
+      ...(payment.destination && { solPayment: some({ destination: payment.destination }) }),
+      ...(payment.method === "token" && {
+        tokenPayment: some({ mint: payment.mint, destinationAta: payment.destinationAta }),
+      }),
+      ...(phase.mintLimit && { mintLimit: some({ id: phase.mintLimit.id }) }),
+      thirdPartySigner: some({ signer: umi.identity }),
+    },
+  });
+}
+
+// Accounts in a mint for `options.payment` that don't depend on the minter or
+// asset -- what belongs in the lookup table. Signers and invoked programs
+// can't be loaded from a table, so they're left out.
+function fixedMintAccounts(umi, options) {
+  const sample = () =>
+    mintInstruction(umi, {
+      ...options,
+      minter: createNoopSigner(generateSigner(umi).publicKey),
+      asset: generateSigner(umi),
+    }).getInstructions()[0];
+  const accounts = (ix) => ix.keys.filter((key) => !key.isSigner).map((key) => key.pubkey);
+  const [first, second] = [sample(), sample()];
+  const shared = new Set(accounts(second));
+  return accounts(first).filter((key) => shared.has(key) && key !== first.programId);
+}
+
+let lookupTableCache = { tables: [], fetchedAt: 0 };
+
+// The MINT_LOOKUP_TABLE table, cached per instance. Mints fall back to
+// plain account lists if it's unset or can't be fetched.
+async function mintLookupTables(umi) {
+  if (!process.env.MINT_LOOKUP_TABLE) return [];
+  if (Date.now() - lookupTableCache.fetchedAt < LOOKUP_TABLE_TTL) return lookupTableCache.tables;
+  try {
+    const table = await safeFetchAddressLookupTable(umi, publicKey(process.env.MINT_LOOKUP_TABLE));
+    if (!table) console.error("Lookup table not found:", process.env.MINT_LOOKUP_TABLE);
+    lookupTableCache = { tables: table ? [table] : [], fetchedAt: Date.now() };
+  } catch (e) {
+    console.error("Lookup table fetch failed:", e.message);
+    return [];
+  }
+  return lookupTableCache.tables;
+}
+
+function buildGroup(umi, mints, { units, microLamports, lookupTables }) {
+  let builder = transactionBuilder().add(setComputeUnitLimit(umi, { units }));
+  if (microLamports) builder = builder.add(setComputeUnitPrice(umi, { microLamports }));
+  return builder.add(mints).setAddressLookupTables(lookupTables || []);
+}
+
+// Split the assets into transaction-sized groups
+function packAssets(umi, options, assets) {
+  const groups = [];
+  let group = [];
+  for (const asset of assets) {
+    const candidate = [...group, asset];
+    const fits =
+      candidate.length <= MINTS_PER_TRANSACTION &&
+      buildGroup(umi, candidate.map((a) => mintInstruction(umi, { ...options, asset: a })), {
+        units: MAX_CU,
+        microLamports: options.microLamports,
+        lookupTables: options.lookupTables,
+      }).fitsInOneTransaction(umi);
+    if (group.length && !fits) {
+      groups.push(group);
+      group = [asset];
+    } else {
+      group = candidate;
+    }
+  }
+  if (group.length) groups.push(group);
+  return groups;
+}
+
+// options: { candyMachine, minter, collection, phase, payment, blockhash,
+// microLamports, computeUnits, lookupTables, sign } -- computeUnits is the
+// limit for each transaction, in order; missing entries get the CU_PER_MINT
+// upper bound. `sign: false` leaves the authority and asset signatures out
+// (drafts that are only simulated).
+async function buildMintTransactions(umi, options, assets) {
+  const transactions = [];
+  for (const group of packAssets(umi, options, assets)) {
+    const units =
+      (options.computeUnits && options.computeUnits[transactions.length]) ||
+      Math.min(MAX_CU, CU_PER_MINT * group.length);
+    const builder = buildGroup(umi, group.map((asset) => mintInstruction(umi, { ...options, asset })), {
+      units,
+      microLamports: options.microLamports,
+      lookupTables: options.lookupTables,
+    });
+    const tx = builder.setFeePayer(options.minter).setBlockhash(options.blockhash).build(umi);
+
+    let signed = tx;
+    if (options.sign !== false) {
+      signed = await umi.identity.signTransaction(signed);
+      for (const asset of group) signed = await asset.signTransaction(signed);
+    }
+
+    transactions.push({
+      // Base64 for the agent to deserialize, sign, and submit
+      transaction: Buffer.from(umi.transactions.serialize(signed)).toString("base64"),
+      assets: group.map((asset) => asset.publicKey),
+      messageHash: messageHash(signed.serializedMessage),
+      computeUnits: units,
+    });
+  }
+  return transactions;
+}
+
+// Priority fee for mints from this candy machine
+function mintPriorityFee(connection, { candyMachine, collection, feeTier }) {
+  return priorityFee(connection, [candyMachine.publicKey, collection], feeTier);
+}
+
+// Build, simulate and rebuild with a right-sized compute limit and a priority
+// fee for `options.feeTier` (or `options.microLamports`, if the caller already
+// looked it up). Returns { ok: true, transactions, fees }, or the
+// simulation failure (see lib/simulate.js).
+async function prepareMintTransactions(umi, connection, options, assets) {
+  const microLamports = options.microLamports ?? await mintPriorityFee(connection, options);
+  const lookupTables = options.lookupTables ?? await mintLookupTables(umi);
+  // Simulation doesn't verify signatures, so the draft goes unsigned: no
+  // round-trip to a remote signer for a message nobody gets
+  const draft = await buildMintTransactions(umi, { ...options, microLamports, lookupTables, sign: false }, assets);
+
+  const simulation = await simulateMintTransactions(connection, draft);
+  if (!simulation.ok) return simulation;
+
+  const computeUnits = simulation.unitsConsumed.map(
+    (used) => used && Math.min(MAX_CU, Math.ceil(used * CU_MARGIN))
+  );
+  const transactions = await buildMintTransactions(
+    umi,
+    { ...options, microLamports, lookupTables, computeUnits },
+    assets
+  );
+
+  return {
+    ok: true,
+    transactions,
+    fees: {
+      tier: options.feeTier,
+      microLamportsPerComputeUnit: microLamports,
+      computeUnits: transactions.map((t) => t.computeUnits),
+      // Per transaction, on top of the 5000 lamport base fee per signature
+      priorityFeeLamports: transactions.map((t) => Math.ceil((t.computeUnits * microLamports) / 1_000_000)),
+    },
+  };
+}
+
+module.exports = {
+  MINTS_PER_TRANSACTION,
+  CU_PER_MINT,
+  MAX_CU,
+  createMintUmi,
+  buildMintTransactions,
+  fixedMintAccounts,
+  mintLookupTables,
+  mintPriorityFee,
+  prepareMintTransactions,
+};
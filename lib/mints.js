@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const path = require("path");
+const bs58 = require("bs58");
+
+// Mint records in Redis.
+//
+//   mint:<asset>          JSON record: wallet, agent, challengeId, createdAt,
+//                         messageHash, transactionAssets, blockhash/
+//                         lastValidBlockHeight, session status (lib/sessions.js),
+//                         refreshedFrom/replacedBy, and once confirmed:
+//                         signature, name, uri, itemIndex, configLine
+//   mint:msg:<hash>       assets in a transaction message we built (sha256 of
+//                         the serialized message), kept while it can land
+//   mint:refresh:<hash>   claimed when a transaction message is rebuilt by
+//                         /api/mint/refresh, so it is rebuilt only once
+//   mint:tx:<signature>   asset minted by a confirmed transaction
+//   mint:item:<index>     asset holding metadata-index.json item <index>
+//   mints:confirmed       sorted set of confirmed assets, scored by confirm time
+//
+// scripts/sync-minted.js copies confirmed mints back into the minted/mintedTo
+// fields of data/metadata-index.json.
+
+const mintKey = (asset) => `mint:${asset}`;
+const txKey = (signature) => `mint:tx:${signature}`;
+const itemKey = (index) => `mint:item:${index}`;
+const messageKey = (hash) => `mint:msg:${hash}`;
+const refreshKey = (hash) => `mint:refresh:${hash}`;
+const CONFIRMED_KEY = "mints:confirmed";
+
+function isAssetAddress(asset) {
+  try {
+    return typeof asset === "string" && (bs58.default || bs58).decode(asset).length === 32;
+  } catch {
+    return false;
+  }
+}
+
+function messageHash(serializedMessage) {
+  return crypto.createHash("sha256").update(serializedMessage).digest("hex");
+}
+
+async function getMintRecord(redis, asset) {
+  return redis.get(mintKey(asset));
+}
+
+async function saveMintRecord(redis, asset, fields) {
+  const existing = (await getMintRecord(redis, asset)) || {};
+  const record = { ...existing, ...fields, asset };
+  await redis.set(mintKey(asset), record);
+  return record;
+}
+
+// Metadata URI -> item, built on first use. Config lines were loaded from the
+// non-reserved items in order, so a public item's position is its config line.
+let itemsByUri = null;
+
+function findItemByUri(uri) {
+  if (!itemsByUri) {
+    const items = require(path.join(__dirname, "../data/metadata-index.json"));
+    itemsByUri = new Map();
+    let configLine = 0;
+    for (const item of items) {
+      itemsByUri.set(item.metadataUri, {
+        itemIndex: item.index,
+        configLine: item.reserved ? null : configLine++,
+        name: item.name,
+      });
+    }
+  }
+  return itemsByUri.get(uri) || null;
+}
+
+module.exports = {
+  CONFIRMED_KEY,
+  mintKey,
+  txKey,
+  itemKey,
+  messageKey,
+  refreshKey,
+  messageHash,
+  isAssetAddress,
+  getMintRecord,
+  saveMintRecord,
+  findItemByUri,
+};
@@ -0,0 +1,168 @@
+const path = require("path");
+const { isSome } = require("@metaplex-foundation/umi");
+const { fetchCandyGuard } = require("@metaplex-foundation/mpl-core-candy-machine");
+
+// Mint phases. Each phase is a Candy Guard group with its own startDate /
+// endDate, solPayment and mintLimit; the guard's default set (shared by every
+// group) holds thirdPartySigner. A phase can also accept an SPL token: a
+// second group (phase.tokenPayment.label) with the same dates and mintLimit
+// id -- so both share the wallet's counter -- and a tokenPayment guard.
+// data/mint-phases.json is what scripts/create-core-candy-machine.js
+// configures, but the on-chain guard is the source of truth -- the config
+// only adds names, and token symbols/decimals for display.
+//
+// A guard without groups (the original single default set) is one open-ended
+// phase with no label.
+
+const PHASE_CONFIG = require(path.join(__dirname, "../data/mint-phases.json"));
+const PAYMENT_METHODS = ["sol", "token"];
+
+const optionValue = (option) => (option && isSome(option) ? option.value : null);
+
+// A group's effective guards: its own where set, otherwise the defaults
+function mergeGuards(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [name, option] of Object.entries(overrides)) {
+    if (isSome(option)) merged[name] = option;
+  }
+  return merged;
+}
+
+// The configured phase a group label belongs to
+function phaseConfigFor(label) {
+  return (
+    PHASE_CONFIG.find((phase) => phase.label === label || (phase.tokenPayment && phase.tokenPayment.label === label)) ||
+    {}
+  );
+}
+
+// How a group takes payment. A group with no payment guard mints for free
+// (rent and fees only), which is shown as a 0 SOL price.
+function paymentOption(label, guards, config) {
+  const tokenPayment = optionValue(guards.tokenPayment);
+  if (tokenPayment) {
+    const token = config.tokenPayment || {};
+    return {
+      method: "token",
+      group: label,
+      mint: tokenPayment.mint,
+      amount: Number(tokenPayment.amount),
+      destinationAta: tokenPayment.destinationAta,
+      symbol: token.symbol || null,
+      decimals: token.decimals ?? null,
+    };
+  }
+  const solPayment = optionValue(guards.solPayment);
+  return {
+    method: "sol",
+    group: label,
+    lamports: solPayment ? Number(solPayment.lamports.basisPoints) : 0,
+    destination: solPayment ? solPayment.destination : null,
+  };
+}
+
+// Candy guard account -> phases, in on-chain group order
+function resolvePhases(candyGuard) {
+  const groups = candyGuard.groups.length ? candyGuard.groups : [{ label: null, guards: {} }];
+  const phases = new Map();
+  for (const { label, guards } of groups) {
+    const merged = mergeGuards(candyGuard.guards, guards);
+    const config = phaseConfigFor(label);
+    const key = config.label || label;
+    if (!phases.has(key)) {
+      const startDate = optionValue(merged.startDate);
+      const endDate = optionValue(merged.endDate);
+      const mintLimit = optionValue(merged.mintLimit);
+      phases.set(key, {
+        label: key,
+        name: config.name || label || "Public",
+        startDate: startDate ? Number(startDate.date) * 1000 : null,
+        endDate: endDate ? Number(endDate.date) * 1000 : null,
+        mintLimit: mintLimit ? { id: mintLimit.id, limit: mintLimit.limit } : null,
+        payments: {},
+      });
+    }
+    const payment = paymentOption(label, merged, config);
+    phases.get(key).payments[payment.method] = payment;
+  }
+  return [...phases.values()];
+}
+
+// `paymentMethod` from a request; absent means SOL
+function parsePaymentMethod(value) {
+  if (value === undefined || value === null || value === "") return { valid: true, method: "sol" };
+  if (!PAYMENT_METHODS.includes(value)) {
+    return { valid: false, code: "INVALID_PAYMENT_METHOD", error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(", ")}` };
+  }
+  return { valid: true, method: value };
+}
+
+function formatPrice(payment) {
+  if (payment.method === "sol") return `${payment.lamports / 1e9} SOL`;
+  if (payment.decimals === null) return `${payment.amount} base units of ${payment.mint}`;
+  return `${payment.amount / 10 ** payment.decimals} ${payment.symbol || payment.mint}`;
+}
+
+function publicPayment(payment) {
+  return payment.method === "sol"
+    ? { method: "sol", price: formatPrice(payment), lamports: payment.lamports }
+    : {
+      method: "token",
+      price: formatPrice(payment),
+      mint: payment.mint,
+      symbol: payment.symbol,
+      decimals: payment.decimals,
+      amount: payment.amount,
+    };
+}
+
+// startDate is inclusive, endDate exclusive -- as the guards check them
+function isActive(phase, now) {
+  return (phase.startDate === null || phase.startDate <= now) && (phase.endDate === null || now < phase.endDate);
+}
+
+// { phase } for the phase open at `now`, or { code, error, next } when none
+// is: MINT_NOT_LIVE with the next phase to open, or MINT_ENDED
+function activePhase(phases, now = Date.now()) {
+  const phase = phases.find((p) => isActive(p, now));
+  if (phase) return { phase };
+
+  const next = phases
+    .filter((p) => p.startDate !== null && p.startDate > now)
+    .sort((a, b) => a.startDate - b.startDate)[0];
+  if (!next) return { code: "MINT_ENDED" };
+  return {
+    code: "MINT_NOT_LIVE",
+    error: `Minting opens ${new Date(next.startDate).toISOString()} (${next.name}).`,
+    next: publicPhase(next, now),
+  };
+}
+
+async function fetchPhases(umi, candyMachine) {
+  return resolvePhases(await fetchCandyGuard(umi, candyMachine.mintAuthority));
+}
+
+// What /api/collection shows
+function publicPhase(phase, now = Date.now()) {
+  return {
+    label: phase.label,
+    name: phase.name,
+    startDate: phase.startDate && new Date(phase.startDate).toISOString(),
+    endDate: phase.endDate && new Date(phase.endDate).toISOString(),
+    payments: Object.values(phase.payments).map(publicPayment),
+    maxPerWallet: phase.mintLimit ? phase.mintLimit.limit : null,
+    active: isActive(phase, now),
+  };
+}
+
+module.exports = {
+  PHASE_CONFIG,
+  PAYMENT_METHODS,
+  resolvePhases,
+  fetchPhases,
+  activePhase,
+  parsePaymentMethod,
+  formatPrice,
+  publicPayment,
+  publicPhase,
+};
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Proof-of-work algorithms. Each entry knows how to hash one attempt, how to
+// describe itself to solvers and what difficulty range makes sense for it
+// (difficulty is always leading zero bits of the final digest). Parameters
+// are chosen at issue time and signed into the challenge payload, so the
+// verifier never trusts anything the agent sends besides the nonce.
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+const ALGORITHMS = {
+  sha256: {
+    minDifficulty: parseInt(process.env.POW_MIN_DIFFICULTY || "16"),
+    maxDifficulty: parseInt(process.env.POW_MAX_DIFFICULTY || "22"),
+    params: () => ({}),
+    digest: async (input) => sha256(input),
+    describe: () => "SHA256(challenge + wallet + nonce)",
+  },
+
+  // Memory-hard: each attempt needs 128 * N * r bytes (16 MB by default),
+  // which is what makes GPU/ASIC farming expensive. Keep difficulty low --
+  // a handful of attempts is already a second or two of work.
+  scrypt: {
+    minDifficulty: 3,
+    maxDifficulty: 7,
+    params: () => ({ N: 16384, r: 8, p: 1, keylen: 32 }),
+    digest: async (input, { N, r, p, keylen }, { wallet }) =>
+      scrypt(input, wallet, keylen, { N, r, p, maxmem: 256 * N * r }),
+    describe: ({ N, r, p, keylen }) =>
+      `scrypt(password = challenge + wallet + nonce, salt = wallet, N=${N}, r=${r}, p=${p}, keylen=${keylen})`,
+  },
+
+  // Sequential SHA-256 chain: digest_0 = SHA256(challenge + wallet + nonce),
+  // digest_i = SHA256(digest_{i-1}) over raw bytes. Can't be parallelised
+  // within an attempt.
+  hashchain: {
+    minDifficulty: 8,
+    maxDifficulty: 12,
+    params: () => ({ rounds: 1024 }),
+    digest: async (input, { rounds }) => {
+      let digest = sha256(input);
+      for (let i = 1; i < rounds; i++) digest = sha256(digest);
+      return digest;
+    },
+    describe: ({ rounds }) =>
+      `SHA256 applied ${rounds} times: d0 = SHA256(challenge + wallet + nonce), d(i) = SHA256(d(i-1)) over raw 32-byte digests`,
+  },
+};
+
+const DEFAULT_ALGORITHM = process.env.POW_ALGORITHM || "sha256";
+
+// Algorithms agents may ask for with ?algorithm=
+const ENABLED_ALGORITHMS = [
+  ...new Set([DEFAULT_ALGORITHM, ...(process.env.POW_ALGORITHMS || "").split(",").map((name) => name.trim())]),
+].filter((name) => ALGORITHMS[name]);
+
+function getAlgorithm(name) {
+  return Object.prototype.hasOwnProperty.call(ALGORITHMS, name) ? ALGORITHMS[name] : null;
+}
+
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+// Difficulty as a target: the digest read as a 256-bit big-endian integer
+// must be below 2^(256 - difficulty)
+function powTarget(difficulty) {
+  return (1n << BigInt(256 - difficulty)).toString(16).padStart(64, "0");
+}
+
+// What solvers need to know to implement the puzzle
+function describeProofOfWork({ algorithm, difficulty, params }) {
+  const alg = getAlgorithm(algorithm);
+  return {
+    algorithm,
+    params,
+    digest: alg.describe(params),
+    input: "challenge + wallet + nonce (UTF-8 string concatenation; nonce exactly as submitted)",
+    leadingZeroBits: difficulty,
+    target: powTarget(difficulty),
+    rule: `Digest must start with ${difficulty} zero bits, i.e. as a 256-bit big-endian integer it must be below target`,
+    averageIterations: Math.pow(2, difficulty),
+  };
+}
+
+// Route verification to the algorithm named in the (already authenticated)
+// challenge payload
+async function verifyProofOfWork(challenge, wallet, nonce, { algorithm, difficulty, params }) {
+  const alg = getAlgorithm(algorithm);
+  if (!alg) return false;
+  const digest = await alg.digest(challenge + wallet + nonce, params, { wallet });
+  return leadingZeroBits(digest) >= difficulty;
+}
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  ENABLED_ALGORITHMS,
+  getAlgorithm,
+  leadingZeroBits,
+  powTarget,
+  describeProofOfWork,
+  verifyProofOfWork,
+};
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { redis } = require("./redis");
+const { MemoryRedis } = require("./memory-redis");
+const { sendError } = require("./errors");
+
+// Sliding-window rate limits (a log of request timestamps per key, trimmed to
+// the window on every hit). Budgets are "<requests>/<seconds>" and can be
+// overridden per route and dimension, e.g. RATE_LIMIT_MINT_WALLET=5/60.
+//
+// Backends: Redis (atomic Lua script, shared across function instances) or
+// memory (per-process, for local testing). RATE_LIMIT_BACKEND picks one;
+// by default memory is used only when Redis isn't configured.
+
+const DEFAULT_BUDGETS = {
+  challenge: { ip: "30/60", wallet: "10/60" },
+  mint: { ip: "20/60", wallet: "5/60" },
+  confirm: { ip: "30/60", wallet: "20/60" },
+  submit: { ip: "30/60", wallet: "20/60" },
+  // Polled by agents waiting on a mint; keyed by IP only
+  status: { ip: "120/60", wallet: "120/60" },
+  refresh: { ip: "20/60", wallet: "10/60" },
+};
+
+function parseBudget(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid rate limit budget "${value}" (expected <requests>/<seconds>)`);
+  return { limit: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+}
+
+function budgetFor(route, dimension) {
+  const env = process.env[`RATE_LIMIT_${route.toUpperCase()}_${dimension.toUpperCase()}`];
+  return parseBudget(env || DEFAULT_BUDGETS[route][dimension]);
+}
+
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call("ZREMRANGEBYSCORE", key, 0, now - window)
+local count = redis.call("ZCARD", key)
+local allowed = 0
+if count < limit then
+  redis.call("ZADD", key, now, ARGV[4])
+  redis.call("PEXPIRE", key, window)
+  count = count + 1
+  allowed = 1
+end
+local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+local resetAt = now + window
+if oldest[2] then resetAt = tonumber(oldest[2]) + window end
+return {allowed, count, resetAt}
+`;
+
+class RedisRateLimitStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async hit(key, { limit, windowMs }, now = Date.now()) {
+    const member = `${now}:${crypto.randomBytes(6).toString("hex")}`;
+    const [allowed, count, resetAt] = await this.client.eval(
+      SLIDING_WINDOW_SCRIPT,
+      [key],
+      [now, windowMs, limit, member]
+    );
+    return { allowed: allowed === 1, count: Number(count), resetAt: Number(resetAt) };
+  }
+}
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+  }
+
+  async hit(key, { limit, windowMs }, now = Date.now()) {
+    const log = (this.hits.get(key) || []).filter((t) => t > now - windowMs);
+    const allowed = log.length < limit;
+    if (allowed) log.push(now);
+    this.hits.set(key, log);
+    return { allowed, count: log.length, resetAt: (log[0] || now) + windowMs };
+  }
+}
+
+function createStore() {
+  const backend = process.env.RATE_LIMIT_BACKEND || (redis instanceof MemoryRedis ? "memory" : "redis");
+  if (backend === "memory") return new MemoryRateLimitStore();
+  if (backend === "redis") return new RedisRateLimitStore(redis);
+  throw new Error(`Unknown RATE_LIMIT_BACKEND "${backend}"`);
+}
+
+const store = createStore();
+
+function clientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) return String(forwarded).split(",")[0].trim();
+  return req.headers["x-real-ip"] || (req.socket && req.socket.remoteAddress) || "unknown";
+}
+
+// Apply the route's per-IP and per-wallet budgets. Sets X-RateLimit-* headers
+// for the tightest budget and, when any budget is exhausted, sends a 429 with
+// Retry-After and returns false. Fails open if the store is unavailable.
+async function rateLimit(req, res, route, { wallet } = {}) {
+  const checks = [["ip", clientIp(req)]];
+  if (wallet) checks.push(["wallet", wallet]);
+
+  let results;
+  try {
+    results = await Promise.all(
+      checks.map(async ([dimension, id]) => {
+        const budget = budgetFor(route, dimension);
+        const result = await store.hit(`ratelimit:${route}:${dimension}:${id}`, budget);
+        return { ...result, ...budget, remaining: Math.max(0, budget.limit - result.count) };
+      })
+    );
+  } catch (e) {
+    console.error("Rate limit check failed:", e.message);
+    return true;
+  }
+
+  const blocked = results.filter((r) => !r.allowed);
+  const tightest = blocked.length
+    ? blocked.reduce((a, b) => (b.resetAt > a.resetAt ? b : a))
+    : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  res.setHeader("X-RateLimit-Limit", String(tightest.limit));
+  res.setHeader("X-RateLimit-Remaining", String(tightest.remaining));
+  res.setHeader("X-RateLimit-Reset", String(Math.ceil(tightest.resetAt / 1000)));
+
+  if (blocked.length) {
+    const retryAfter = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+    res.setHeader("Retry-After", String(retryAfter));
+    sendError(res, "RATE_LIMITED", { error: `Rate limit exceeded. Retry in ${retryAfter}s.`, retryAfter });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = { rateLimit, parseBudget, clientIp, RedisRateLimitStore, MemoryRateLimitStore };
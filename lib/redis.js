@@ -0,0 +1,21 @@
+const { Redis } = require("@upstash/redis");
+const { MemoryRedis } = require("./memory-redis");
+
+// Shared Redis client. Falls back to an in-memory store when no Upstash
+// credentials are configured so `vercel dev` works without a KV database.
+function createRedis() {
+  if (!process.env.KV_REST_API_URL) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("KV_REST_API_URL must be set in production");
+    }
+    return new MemoryRedis();
+  }
+  return new Redis({
+    url: process.env.KV_REST_API_URL,
+    token: process.env.KV_REST_API_TOKEN,
+  });
+}
+
+const redis = createRedis();
+
+module.exports = { redis, createRedis };
@@ -0,0 +1,43 @@
+// Transaction relay: broadcast a signed transaction and keep rebroadcasting
+// until it confirms, fails, its blockhash expires, or we run out of time.
+// Resending the same signed bytes is harmless -- the network dedupes by
+// signature -- so a caller that gets "pending" back can simply relay again.
+
+const REBROADCAST_MS = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function signatureStatus(connection, signature) {
+  const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+  const status = value[0];
+  if (!status) return null;
+  if (status.err) return { status: "failed", error: status.err, slot: status.slot };
+  if (status.confirmationStatus === "confirmed" || status.confirmationStatus === "finalized") {
+    return { status: "confirmed", slot: status.slot };
+  }
+  return null;
+}
+
+async function relayTransaction(connection, rawTransaction, signature, { lastValidBlockHeight, deadline }) {
+  while (Date.now() < deadline) {
+    try {
+      await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+    } catch (e) {
+      console.error("Rebroadcast failed:", e.message);
+    }
+
+    await sleep(Math.min(REBROADCAST_MS, Math.max(0, deadline - Date.now())));
+
+    const result = await signatureStatus(connection, signature);
+    if (result) return result;
+
+    const blockHeight = await connection.getBlockHeight("confirmed");
+    if (blockHeight > lastValidBlockHeight) {
+      // One last look in case it landed right at the edge
+      return (await signatureStatus(connection, signature)) || { status: "expired" };
+    }
+  }
+  return { status: "pending" };
+}
+
+module.exports = { relayTransaction, signatureStatus };
@@ -0,0 +1,28 @@
+const crypto = require("crypto");
+
+// Single-use challenge bookkeeping. A challenge is claimed with SET NX before
+// any RPC work, so two concurrent requests with the same solution can't both
+// get a transaction. If building the transaction fails the claim is released
+// and the agent can retry with the same solution.
+
+function challengeId(challenge) {
+  return crypto.createHash("sha256").update(challenge).digest("hex");
+}
+
+function challengeKey(challenge) {
+  return `challenge:${challengeId(challenge)}`;
+}
+
+async function claimChallenge(redis, challenge, wallet, ttlSeconds) {
+  const result = await redis.set(challengeKey(challenge), wallet, {
+    nx: true,
+    ex: Math.max(1, Math.ceil(ttlSeconds)),
+  });
+  return result === "OK";
+}
+
+async function releaseChallenge(redis, challenge) {
+  await redis.del(challengeKey(challenge));
+}
+
+module.exports = { challengeId, challengeKey, claimChallenge, releaseChallenge };
@@ -0,0 +1,58 @@
+// Challenge signing keys.
+//
+//   CHALLENGE_SECRETS="2025-07:<secret>,2025-01:<old secret>"
+//
+// Every listed key is accepted when verifying, so a new key can be rolled out
+// while challenges signed with the previous one are still live. New
+// challenges are signed with CHALLENGE_ACTIVE_KID, or the first key listed.
+// A lone CHALLENGE_SECRET is still honoured as key id "v1".
+//
+// There is no built-in default for deployments: in production (or a preview
+// deployment) a missing secret is a startup error. Only a local `vercel dev`
+// falls back to a fixed, well-known development key.
+
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+function isDeployed(env = process.env) {
+  return env.VERCEL_ENV === "production" || env.VERCEL_ENV === "preview" || env.NODE_ENV === "production";
+}
+
+function parseKeys(env = process.env) {
+  const keys = new Map();
+
+  for (const entry of (env.CHALLENGE_SECRETS || "").split(",")) {
+    if (!entry.trim()) continue;
+    const sep = entry.indexOf(":");
+    const kid = entry.slice(0, sep).trim();
+    const secret = entry.slice(sep + 1).trim();
+    if (sep === -1 || !KID_PATTERN.test(kid) || !secret) {
+      throw new Error("CHALLENGE_SECRETS entries must look like <kid>:<secret> (kid: letters, digits, - or _)");
+    }
+    keys.set(kid, secret);
+  }
+
+  if (env.CHALLENGE_SECRET && !keys.has("v1")) keys.set("v1", env.CHALLENGE_SECRET);
+
+  return keys;
+}
+
+function loadChallengeKeys(env = process.env) {
+  const keys = parseKeys(env);
+
+  if (keys.size === 0) {
+    if (isDeployed(env)) {
+      throw new Error("No challenge secret configured. Set CHALLENGE_SECRETS (or CHALLENGE_SECRET).");
+    }
+    console.warn("CHALLENGE_SECRETS not set -- using the local development key. Never deploy like this.");
+    keys.set("dev", "neural-norse-local-dev-only");
+  }
+
+  const activeKid = env.CHALLENGE_ACTIVE_KID || keys.keys().next().value;
+  if (!keys.has(activeKid)) {
+    throw new Error(`CHALLENGE_ACTIVE_KID "${activeKid}" is not in CHALLENGE_SECRETS`);
+  }
+
+  return { keys, activeKid };
+}
+
+module.exports = { loadChallengeKeys, isDeployed };
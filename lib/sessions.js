@@ -0,0 +1,140 @@
+const { safeFetchAssetV1 } = require("@metaplex-foundation/mpl-core");
+const { publicKey } = require("@metaplex-foundation/umi");
+const { messageKey, getMintRecord, saveMintRecord } = require("./mints");
+const { RESERVATION_TTL, releaseReservation } = require("./allowance");
+const { signatureStatus } = require("./relay");
+
+// Mint sessions. Every asset handed out by /api/mint gets one, stored on its
+// mint record (mint:<asset>):
+//
+//   pending -> submitted -> confirmed
+//         \           \--> expired
+//          \----------------^
+//
+// "submitted" is set when the transaction goes through our relay; agents
+// submitting directly go pending -> confirmed via /api/mint/confirm. Open
+// sessions are indexed in OPEN_KEY by the blockhash's lastValidBlockHeight
+// so the sweeper can find the ones that can no longer land.
+
+const OPEN_KEY = "sessions:open";
+
+const TRANSITIONS = {
+  pending: ["submitted", "confirmed", "expired"],
+  submitted: ["confirmed", "expired"],
+  // The sweeper can be wrong about a transaction that landed at the edge;
+  // an on-chain confirmation always wins
+  expired: ["confirmed"],
+  confirmed: [],
+};
+
+const isOpen = (status) => status === "pending" || status === "submitted";
+
+async function openSession(redis, asset, fields) {
+  const now = Date.now();
+  const record = await saveMintRecord(redis, asset, {
+    ...fields,
+    status: "pending",
+    updatedAt: now,
+    history: [{ status: "pending", at: now }],
+  });
+  await redis.zadd(OPEN_KEY, { score: fields.lastValidBlockHeight, member: asset });
+  return record;
+}
+
+// Open sessions for the transactions returned by buildMintTransactions and
+// index their messages for /api/mint/submit. `fields` are shared by every
+// asset; `perAsset` (asset -> fields) adds to individual ones.
+async function openTransactionSessions(redis, transactions, blockhash, fields, perAsset = {}) {
+  for (const { assets, messageHash } of transactions) {
+    for (const asset of assets) {
+      await openSession(redis, asset, {
+        ...fields,
+        ...perAsset[asset],
+        messageHash,
+        transactionAssets: assets,
+        blockhash: blockhash.blockhash,
+        lastValidBlockHeight: blockhash.lastValidBlockHeight,
+        createdAt: Date.now(),
+      });
+    }
+    await redis.set(messageKey(messageHash), assets, { ex: RESERVATION_TTL });
+  }
+}
+
+// Move a session to `status`, merging `fields` into the record. Invalid
+// transitions (e.g. confirmed -> expired) leave the state alone but still
+// merge the fields. Returns the updated record, or null if unknown.
+async function transitionSession(redis, asset, status, fields = {}) {
+  const record = await getMintRecord(redis, asset);
+  if (!record) return null;
+
+  const current = record.status || "pending";
+  const now = Date.now();
+  const allowed = current !== status && TRANSITIONS[current].includes(status);
+  const updated = await saveMintRecord(redis, asset, {
+    ...fields,
+    ...(allowed && {
+      status,
+      updatedAt: now,
+      history: [...(record.history || []), { status, at: now }],
+    }),
+  });
+
+  if (!isOpen(updated.status)) await redis.zrem(OPEN_KEY, asset);
+  return updated;
+}
+
+// Expire open sessions whose blockhash is past its lastValidBlockHeight,
+// releasing the wallet's pending reservation. Each one is checked on-chain
+// first -- the relayed signature if there is one, then the asset account
+// itself, since agents that submit directly never give us a signature. If
+// the mint landed, the session is confirmed instead. `umi` needs mplCore.
+async function sweepExpiredSessions(redis, connection, umi) {
+  const blockHeight = await connection.getBlockHeight("confirmed");
+  const lapsed = await redis.zrange(OPEN_KEY, "-inf", blockHeight - 1, { byScore: true });
+  const summary = { blockHeight, checked: lapsed.length, expired: 0, confirmed: 0 };
+
+  for (const asset of lapsed) {
+    const record = await getMintRecord(redis, asset);
+    if (!record || !isOpen(record.status || "pending")) {
+      await redis.zrem(OPEN_KEY, asset);
+      continue;
+    }
+
+    const landed = record.signature ? await signatureStatus(connection, record.signature) : null;
+    if (landed && landed.status === "confirmed") {
+      await transitionSession(redis, asset, "confirmed", { slot: landed.slot });
+      await releaseReservation(redis, record.wallet, asset);
+      summary.confirmed++;
+      continue;
+    }
+    if (await safeFetchAssetV1(umi, publicKey(asset))) {
+      await transitionSession(redis, asset, "confirmed");
+      await releaseReservation(redis, record.wallet, asset);
+      summary.confirmed++;
+      continue;
+    }
+
+    await transitionSession(redis, asset, "expired");
+    await releaseReservation(redis, record.wallet, asset);
+    summary.expired++;
+  }
+
+  return summary;
+}
+
+// What GET /api/mint/status exposes: no operator contact details
+function publicSession(record) {
+  const { agent, messageHash, challengeId, ...rest } = record;
+  const { contact, ...publicAgent } = agent || {};
+  return { ...rest, status: record.status || "pending", agent: agent ? publicAgent : null };
+}
+
+module.exports = {
+  OPEN_KEY,
+  openSession,
+  openTransactionSessions,
+  transitionSession,
+  sweepExpiredSessions,
+  publicSession,
+};
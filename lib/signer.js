@@ -0,0 +1,80 @@
+const { Keypair } = require("@solana/web3.js");
+const { createSignerFromKeypair, publicKey, addTransactionSignature } = require("@metaplex-foundation/umi");
+const { fromWeb3JsKeypair } = require("@metaplex-foundation/umi-web3js-adapters");
+const bs58 = require("bs58");
+
+// The mint authority (the Candy Guard's third-party signer) as a UMI signer.
+// MINT_SIGNER picks the backend:
+//
+//   local   (default) MINT_AUTHORITY_KEY, a base58 secret key, signs in-process
+//   remote  a signing service holds the key. We POST each transaction message
+//           to MINT_SIGNER_URL/sign (Bearer MINT_SIGNER_TOKEN) and get back
+//           { signature } (base58). The service only signs Candy Guard mints
+//           for our candy machine (lib/signing-policy.js) and logs them.
+//           MINT_AUTHORITY_PUBKEY is its public key.
+//
+// scripts/signing-service.js is a local stand-in for the remote service.
+
+const SIGNER_TIMEOUT = parseInt(process.env.MINT_SIGNER_TIMEOUT || "5000"); // ms
+
+const base58 = bs58.default || bs58;
+
+// Decoded once per instance, not per request
+let localKeypair = null;
+
+function localSigner(umi) {
+  if (!localKeypair) {
+    localKeypair = fromWeb3JsKeypair(Keypair.fromSecretKey(base58.decode(process.env.MINT_AUTHORITY_KEY)));
+  }
+  return createSignerFromKeypair(umi, localKeypair);
+}
+
+function remoteSigner(umi) {
+  const url = process.env.MINT_SIGNER_URL;
+  if (!url || !process.env.MINT_AUTHORITY_PUBKEY) {
+    throw new Error("MINT_SIGNER_URL and MINT_AUTHORITY_PUBKEY must be set for MINT_SIGNER=remote");
+  }
+  const authority = publicKey(process.env.MINT_AUTHORITY_PUBKEY);
+
+  async function signTransaction(transaction) {
+    const response = await fetch(`${url.replace(/\/$/, "")}/sign`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.MINT_SIGNER_TOKEN}`,
+      },
+      body: JSON.stringify({ message: Buffer.from(transaction.serializedMessage).toString("base64") }),
+      signal: AbortSignal.timeout(SIGNER_TIMEOUT),
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Signing service refused (${response.status}): ${body.error || "no reason given"}`);
+    }
+
+    // Never trust a signature we haven't checked
+    const signature = base58.decode(body.signature || "");
+    if (!umi.eddsa.verify(transaction.serializedMessage, signature, authority)) {
+      throw new Error("Signing service returned an invalid signature");
+    }
+    return addTransactionSignature(transaction, signature, authority);
+  }
+
+  return {
+    publicKey: authority,
+    signTransaction,
+    signAllTransactions: (transactions) => Promise.all(transactions.map(signTransaction)),
+    signMessage: async () => {
+      throw new Error("The signing service only signs mint transactions");
+    },
+  };
+}
+
+const BACKENDS = { local: localSigner, remote: remoteSigner };
+
+function createMintAuthoritySigner(umi) {
+  const backend = process.env.MINT_SIGNER || "local";
+  if (!BACKENDS[backend]) throw new Error(`Unknown MINT_SIGNER: ${backend} (expected local or remote)`);
+  return BACKENDS[backend](umi);
+}
+
+module.exports = { createMintAuthoritySigner };
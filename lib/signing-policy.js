@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const { ComputeBudgetProgram } = require("@solana/web3.js");
+const { createMplCoreCandyGuardProgram } = require("@metaplex-foundation/mpl-core-candy-machine");
+
+// What the mint authority will sign. It's the Candy Guard's third-party
+// signer, so its signature is what makes a mint valid -- it must only ever
+// co-sign mints from our candy machine:
+//
+//   - every instruction is a Candy Guard mint_v1 for CANDY_MACHINE, or a
+//     compute budget instruction
+//   - the authority is neither the fee payer nor a mint's payer or minter, so
+//     nothing can spend its lamports (the SDK passes the third-party signer
+//     as writable, so that alone can't be the test)
+//
+// Used by the signing service (scripts/signing-service.js) before it signs.
+
+const CANDY_GUARD_PROGRAM = createMplCoreCandyGuardProgram().publicKey;
+const COMPUTE_BUDGET_PROGRAM = ComputeBudgetProgram.programId.toBase58();
+// Anchor discriminator of mint_v1: sha256("global:mint_v1")[0..8]
+const MINT_V1 = crypto.createHash("sha256").update("global:mint_v1").digest().subarray(0, 8);
+
+// Candy Guard mint_v1 account positions
+const MINT_ACCOUNTS = { candyMachine: 2, payer: 4, minter: 5, asset: 7 };
+
+const reject = (error) => ({ ok: false, error });
+
+// `message` is a web3.js VersionedMessage; `lookupTables` the address lookup
+// table accounts it references. Returns { ok: true, mints: [{ minter, asset }] }
+// or { ok: false, error }.
+function checkMintMessage(message, { candyMachine, authority, lookupTables = [] }) {
+  let keys;
+  try {
+    keys = message.getAccountKeys({ addressLookupTableAccounts: lookupTables });
+  } catch (e) {
+    return reject("Message references lookup tables that couldn't be resolved");
+  }
+  const key = (index) => keys.get(index).toBase58();
+
+  const authorityIndex = keys.staticAccountKeys.findIndex((k) => k.toBase58() === authority);
+  if (authorityIndex < 0 || !message.isAccountSigner(authorityIndex)) return reject("Mint authority is not a signer");
+  if (authorityIndex === 0) return reject("Mint authority can't be the fee payer");
+
+  const mints = [];
+  for (const [i, ix] of message.compiledInstructions.entries()) {
+    const program = key(ix.programIdIndex);
+    if (program === COMPUTE_BUDGET_PROGRAM) continue;
+    if (program !== CANDY_GUARD_PROGRAM || !MINT_V1.equals(Buffer.from(ix.data).subarray(0, 8))) {
+      return reject(`Instruction ${i} is not a Candy Guard mint`);
+    }
+    if (key(ix.accountKeyIndexes[MINT_ACCOUNTS.candyMachine]) !== candyMachine) {
+      return reject(`Instruction ${i} mints from another candy machine`);
+    }
+    if (
+      ix.accountKeyIndexes[MINT_ACCOUNTS.payer] === authorityIndex ||
+      ix.accountKeyIndexes[MINT_ACCOUNTS.minter] === authorityIndex
+    ) {
+      return reject(`Instruction ${i} has the mint authority paying`);
+    }
+    mints.push({
+      minter: key(ix.accountKeyIndexes[MINT_ACCOUNTS.minter]),
+      asset: key(ix.accountKeyIndexes[MINT_ACCOUNTS.asset]),
+    });
+  }
+  if (!mints.length) return reject("Message contains no mint");
+  return { ok: true, mints };
+}
+
+module.exports = { MINT_V1, MINT_ACCOUNTS, checkMintMessage };
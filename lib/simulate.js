@@ -0,0 +1,97 @@
+const { VersionedTransaction } = require("@solana/web3.js");
+const {
+  createMplCoreCandyGuardProgram,
+  createMplCoreCandyMachineCoreProgram,
+} = require("@metaplex-foundation/mpl-core-candy-machine");
+
+// Pre-flight simulation of the mint transactions we hand out. The minter
+// hasn't signed yet, so signatures aren't verified (`sigVerify: false`).
+// Failures are decoded into stable codes an agent can act on instead of
+// finding out after signing and paying fees.
+
+// Candy Guard / Candy Machine error names (the Anchor "Error Code") -> our
+// codes (lib/errors.js)
+const PROGRAM_ERRORS = {
+  AllowedMintLimitReached: "MINT_LIMIT_REACHED",
+  NotEnoughSOL: "INSUFFICIENT_FUNDS",
+  NotEnoughTokens: "INSUFFICIENT_FUNDS",
+  CandyMachineEmpty: "CANDY_MACHINE_EMPTY",
+  MaximumRedeemedAmount: "CANDY_MACHINE_EMPTY",
+  MintNotLive: "MINT_NOT_LIVE",
+  AfterEndDate: "MINT_ENDED",
+};
+
+// Transaction-level errors (no program ran, or the runtime refused it)
+const TRANSACTION_ERRORS = {
+  AccountNotFound: "INSUFFICIENT_FUNDS", // fee payer has never been funded
+  InsufficientFundsForFee: "INSUFFICIENT_FUNDS",
+  InsufficientFundsForRent: "INSUFFICIENT_FUNDS",
+  BlockhashNotFound: "BLOCKHASH_NOT_FOUND",
+};
+
+const PROGRAMS = new Map(
+  [createMplCoreCandyGuardProgram(), createMplCoreCandyMachineCoreProgram()].map((program) => [program.publicKey, program])
+);
+
+// The innermost failing program's error name. Anchor logs it by name; fall
+// back to decoding the custom error code of the program that failed.
+function programErrorName(logs) {
+  for (const line of logs) {
+    const anchor = /Error Code: (\w+)\./.exec(line);
+    if (anchor) return anchor[1];
+  }
+  for (const line of logs) {
+    const failed = /^Program (\w+) failed: custom program error: 0x([0-9a-f]+)/.exec(line);
+    if (!failed) continue;
+    const program = PROGRAMS.get(failed[1]);
+    const decoded = program && program.getErrorFromCode(parseInt(failed[2], 16));
+    if (decoded) return decoded.name;
+  }
+  return null;
+}
+
+// Simulation result -> { code, programError } (or null if it succeeded)
+function decodeFailure(err, logs) {
+  if (!err) return null;
+  if (typeof err === "string") return { code: TRANSACTION_ERRORS[err] || "SIMULATION_FAILED", programError: err };
+
+  const name = programErrorName(logs);
+  if (name) return { code: PROGRAM_ERRORS[name] || "SIMULATION_FAILED", programError: name };
+
+  // System program transfer out of an underfunded payer
+  const [, instructionError] = err.InstructionError || [];
+  if (
+    instructionError === "InsufficientFunds" ||
+    logs.some((line) => line.includes("insufficient lamports"))
+  ) {
+    return { code: "INSUFFICIENT_FUNDS", programError: instructionError || null };
+  }
+  return { code: "SIMULATION_FAILED", programError: instructionError || null };
+}
+
+// Simulate each base64 transaction from buildMintTransactions. Returns
+// { ok: true, unitsConsumed: [...] } or { ok: false, code, programError,
+// logs } for the first one that fails. Fails open if the RPC
+// call itself errors -- the chain still enforces every guard.
+async function simulateMintTransactions(connection, transactions) {
+  const unitsConsumed = [];
+  for (const { transaction } of transactions) {
+    const vtx = VersionedTransaction.deserialize(Buffer.from(transaction, "base64"));
+    let value;
+    try {
+      ({ value } = await connection.simulateTransaction(vtx, { sigVerify: false, commitment: "confirmed" }));
+    } catch (e) {
+      console.error("Simulation failed:", e.message);
+      return { ok: true, skipped: true, unitsConsumed };
+    }
+    const logs = value.logs || [];
+    const failure = decodeFailure(value.err, logs);
+    if (failure) {
+      return { ok: false, ...failure, logs: logs.slice(-10) };
+    }
+    unitsConsumed.push(value.unitsConsumed);
+  }
+  return { ok: true, unitsConsumed };
+}
+
+module.exports = { simulateMintTransactions, decodeFailure };
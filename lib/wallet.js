@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const { PublicKey } = require("@solana/web3.js");
+const bs58 = require("bs58");
+const { sendError } = require("./errors");
+
+const { decode } = bs58.default || bs58;
+
+// DER header that turns a raw 32-byte ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+// Validate a wallet address supplied by an agent: must be base58, decode to
+// exactly 32 bytes and lie on the ed25519 curve. PDAs are off-curve and can't
+// sign, so they can never complete a mint.
+function validateWallet(wallet) {
+  if (typeof wallet !== "string" || wallet.length === 0) {
+    return { valid: false, reason: "missing", error: "Wallet address is required" };
+  }
+
+  let bytes;
+  try {
+    bytes = decode(wallet);
+  } catch {
+    return { valid: false, reason: "not_base58", error: "Wallet address is not valid base58" };
+  }
+
+  if (bytes.length !== 32) {
+    return { valid: false, reason: "wrong_length", error: `Wallet address must decode to 32 bytes (got ${bytes.length})` };
+  }
+
+  if (!PublicKey.isOnCurve(bytes)) {
+    return { valid: false, reason: "off_curve", error: "Wallet address is off-curve (PDAs cannot mint)" };
+  }
+
+  return { valid: true, publicKey: new PublicKey(bytes) };
+}
+
+// Raw ed25519 verification: 32-byte public key, message bytes, 64-byte signature
+function verifyEd25519(publicKeyBytes, message, signature) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyBytes)]),
+    format: "der",
+    type: "spki",
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+// Check that `signature` (base58) is the wallet's ed25519 signature over the
+// UTF-8 bytes of `message`. Proves the caller holds the wallet's key.
+function verifyWalletSignature(publicKey, message, signature) {
+  if (typeof signature !== "string" || signature.length === 0) return false;
+
+  let sigBytes;
+  try {
+    sigBytes = decode(signature);
+  } catch {
+    return false;
+  }
+  if (sigBytes.length !== 64) return false;
+
+  return verifyEd25519(publicKey.toBuffer(), Buffer.from(message, "utf8"), sigBytes);
+}
+
+// Structured 400 for a rejected wallet
+function invalidWalletResponse(res, result) {
+  return sendError(res, "INVALID_WALLET", { error: result.error, reason: result.reason });
+}
+
+module.exports = { validateWallet, verifyEd25519, verifyWalletSignature, invalidWalletResponse };
@@ -7,7 +7,10 @@
  * 
  * Steps:
  *   1. Create a Core Collection
- *   2. Create Core Candy Machine with guards (solPayment, mintLimit, thirdPartySigner)
+ *   2. Create Core Candy Machine with guards: thirdPartySigner for every mint,
+ *      plus one guard group per phase in data/mint-phases.json (startDate,
+ *      endDate, solPayment, mintLimit), and a second group with tokenPayment
+ *      for phases that also accept an SPL token
  *   3. Load 9,750 config lines
  *   4. Verify on-chain
  *
@@ -34,7 +37,9 @@ const {
   sol,
   publicKey,
   percentAmount,
+  dateTime,
 } = require("@metaplex-foundation/umi");
+const { findAssociatedTokenPda, createIdempotentAssociatedToken } = require("@metaplex-foundation/mpl-toolbox");
 const { fromWeb3JsKeypair } = require("@metaplex-foundation/umi-web3js-adapters");
 const { Keypair } = require("@solana/web3.js");
 const bs58 = require("bs58");
@@ -49,6 +54,7 @@ const BATCH_SIZE = 10;
 const BATCH_DELAY_MS = 600;
 
 const PROGRESS_PATH = path.join(__dirname, "../data/core-cm-progress.json");
+const PHASES = require("../data/mint-phases.json");
 
 function loadProgress() {
   if (fs.existsSync(PROGRESS_PATH)) {
@@ -61,6 +67,69 @@ function saveProgress(data) {
   fs.writeFileSync(PROGRESS_PATH, JSON.stringify(data, null, 2));
 }
 
+// Catch what the Candy Guard program would reject before paying for it
+// (a phase's token group shares its mintLimit id on purpose)
+function validatePhases(phases) {
+  const labels = new Set();
+  const limitIds = new Set();
+  const addLabel = (label) => {
+    if (!label || label.length > 6) throw new Error(`Group label must be 1-6 chars: "${label}"`);
+    if (labels.has(label)) throw new Error(`Duplicate group label: ${label}`);
+    labels.add(label);
+  };
+  for (const phase of phases) {
+    addLabel(phase.label);
+    if (limitIds.has(phase.mintLimit.id)) throw new Error(`Duplicate mintLimit id: ${phase.mintLimit.id}`);
+    if (phase.endDate && phase.startDate && Date.parse(phase.endDate) <= Date.parse(phase.startDate)) {
+      throw new Error(`Phase ${phase.label} ends before it starts`);
+    }
+    if (phase.tokenPayment) {
+      addLabel(phase.tokenPayment.label);
+      if (!phase.tokenPayment.mint || !(phase.tokenPayment.amount > 0)) {
+        throw new Error(`Phase ${phase.label} tokenPayment needs a mint and an amount`);
+      }
+    }
+    limitIds.add(phase.mintLimit.id);
+  }
+}
+
+// data/mint-phases.json -> Candy Guard groups. Token payments go to the
+// treasury's associated token account for the mint.
+function phaseGroups(umi, phases) {
+  return phases.flatMap((phase) => {
+    const shared = {
+      ...(phase.startDate && { startDate: some({ date: dateTime(phase.startDate) }) }),
+      ...(phase.endDate && { endDate: some({ date: dateTime(phase.endDate) }) }),
+      mintLimit: some({ id: phase.mintLimit.id, limit: phase.mintLimit.limit }),
+    };
+    const groups = [{
+      label: phase.label,
+      guards: {
+        ...shared,
+        solPayment: some({
+          lamports: sol(phase.priceSol),
+          destination: publicKey(TREASURY),
+        }),
+      },
+    }];
+    if (phase.tokenPayment) {
+      const mint = publicKey(phase.tokenPayment.mint);
+      groups.push({
+        label: phase.tokenPayment.label,
+        guards: {
+          ...shared,
+          tokenPayment: some({
+            amount: BigInt(phase.tokenPayment.amount),
+            mint,
+            destinationAta: findAssociatedTokenPda(umi, { mint, owner: publicKey(TREASURY) })[0],
+          }),
+        },
+      });
+    }
+    return groups;
+  });
+}
+
 async function main() {
   const secretKey = (bs58.default || bs58).decode(process.env.SOLANA_PRIVATE_KEY);
   const authority = Keypair.fromSecretKey(secretKey);
@@ -68,6 +137,14 @@ async function main() {
   console.log("RPC:", RPC);
   console.log("Treasury:", TREASURY);
 
+  validatePhases(PHASES);
+  for (const phase of PHASES) {
+    const token = phase.tokenPayment
+      ? ` or ${phase.tokenPayment.amount / 10 ** phase.tokenPayment.decimals} ${phase.tokenPayment.symbol} (${phase.tokenPayment.label})`
+      : "";
+    console.log(`Phase ${phase.label}: ${phase.startDate || "open"} -> ${phase.endDate || "sold out"}, ${phase.priceSol} SOL${token}, max ${phase.mintLimit.limit}/wallet`);
+  }
+
   const umi = createUmi(RPC)
     .use(mplCandyMachine())
     .use(mplCore());
@@ -123,6 +200,15 @@ async function main() {
     const candyMachine = generateSigner(umi);
     console.log("Candy Machine address:", candyMachine.publicKey);
 
+    // tokenPayment needs the treasury's token account to exist
+    for (const phase of PHASES.filter((p) => p.tokenPayment)) {
+      await createIdempotentAssociatedToken(umi, {
+        mint: publicKey(phase.tokenPayment.mint),
+        owner: publicKey(TREASURY),
+      }).sendAndConfirm(umi);
+      console.log(`Treasury ${phase.tokenPayment.symbol} account ready`);
+    }
+
     const builder = await create(umi, {
       candyMachine,
       collection: publicKey(progress.collection),
@@ -136,14 +222,11 @@ async function main() {
         uriLength: maxUriLen,
         isSequential: false,
       }),
+      // Shared by every group; the API co-signs each mint
       guards: {
-        solPayment: some({
-          lamports: sol(0.02),
-          destination: publicKey(TREASURY),
-        }),
-        mintLimit: some({ id: 1, limit: 10 }),
         thirdPartySigner: some({ signerKey: umi.identity.publicKey }),
       },
+      groups: phaseGroups(umi, PHASES),
     });
 
     await builder.sendAndConfirm(umi);
@@ -230,6 +313,7 @@ async function main() {
   console.log("Authority:", finalCm.authority);
   console.log("Guard:", finalCm.mintAuthority);
   console.log("Guard authority:", finalGuard.authority);
+  console.log("Guard groups:", finalGuard.groups.map((group) => group.label).join(", "));
 
   progress.complete = true;
   saveProgress(progress);
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Create or extend the address lookup table for mint transactions.
+ *
+ * Collects the accounts every mint shares -- candy machine, candy guard,
+ * collection, treasury (and token accounts for token payment groups), the
+ * programs and sysvars passed as accounts -- for every phase and payment
+ * method, and puts them in one address lookup table. /api/mint then builds
+ * v0 transactions that load them from it (MINT_LOOKUP_TABLE).
+ *
+ * Steps:
+ *   1. Collect the fixed mint accounts from the on-chain candy guard
+ *   2. Create the table (or, with MINT_LOOKUP_TABLE set, fetch it)
+ *   3. Extend it with whatever accounts it's still missing
+ *
+ * Re-run after adding phases or payment methods: only new accounts are added.
+ *
+ * Usage:
+ *   node scripts/create-lookup-table.js
+ *   MINT_LOOKUP_TABLE=<address> node scripts/create-lookup-table.js
+ */
+
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
+const { mplCandyMachine, fetchCandyMachine } = require("@metaplex-foundation/mpl-core-candy-machine");
+const { mplCore } = require("@metaplex-foundation/mpl-core");
+const { keypairIdentity, publicKey } = require("@metaplex-foundation/umi");
+const { createLut, extendLut, fetchAddressLookupTable } = require("@metaplex-foundation/mpl-toolbox");
+const { fromWeb3JsKeypair } = require("@metaplex-foundation/umi-web3js-adapters");
+const { Keypair } = require("@solana/web3.js");
+const bs58 = require("bs58");
+const { fixedMintAccounts } = require("../lib/mint-tx");
+const { fetchPhases } = require("../lib/phases");
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+const ADDRESSES_PER_TX = 20; // extend instructions that still fit in one transaction
+
+async function main() {
+  const secretKey = (bs58.default || bs58).decode(process.env.SOLANA_PRIVATE_KEY);
+  const authority = Keypair.fromSecretKey(secretKey);
+  console.log("Authority:", authority.publicKey.toBase58());
+  console.log("RPC:", RPC);
+
+  const umi = createUmi(RPC)
+    .use(mplCandyMachine())
+    .use(mplCore());
+  umi.use(keypairIdentity(fromWeb3JsKeypair(authority)));
+
+  // 1. Fixed accounts of every phase / payment method's mint
+  const candyMachine = await fetchCandyMachine(umi, publicKey(process.env.CANDY_MACHINE));
+  const collection = publicKey(process.env.COLLECTION_MINT);
+  const phases = await fetchPhases(umi, candyMachine);
+  const wanted = new Set();
+  for (const phase of phases) {
+    for (const payment of Object.values(phase.payments)) {
+      const accounts = fixedMintAccounts(umi, { candyMachine, collection, phase, payment });
+      console.log(`Phase ${phase.label || "(default)"} / ${payment.method}: ${accounts.length} fixed accounts`);
+      for (const account of accounts) wanted.add(account);
+    }
+  }
+  console.log(`${wanted.size} accounts in total`);
+
+  // 2. Existing table, or a new one holding the first batch
+  let address;
+  let existing = [];
+  if (process.env.MINT_LOOKUP_TABLE) {
+    address = publicKey(process.env.MINT_LOOKUP_TABLE);
+    const table = await fetchAddressLookupTable(umi, address);
+    existing = table.addresses;
+    console.log(`\nLookup table ${address}: ${existing.length} addresses`);
+  }
+  const missing = [...wanted].filter((account) => !existing.includes(account));
+  if (!address) {
+    const recentSlot = await umi.rpc.getSlot({ commitment: "finalized" });
+    const [builder, table] = createLut(umi, { recentSlot, addresses: missing.splice(0, ADDRESSES_PER_TX) });
+    await builder.sendAndConfirm(umi);
+    address = table.publicKey;
+    console.log(`\nCreated lookup table ${address} with ${table.addresses.length} addresses`);
+  }
+
+  // 3. Extend with the rest
+  for (let i = 0; i < missing.length; i += ADDRESSES_PER_TX) {
+    const batch = missing.slice(i, i + ADDRESSES_PER_TX);
+    await extendLut(umi, { address, authority: umi.identity, addresses: batch }).sendAndConfirm(umi);
+    console.log(`  Added ${batch.length} (${i + batch.length}/${missing.length})`);
+  }
+  if (existing.length && !missing.length) console.log("Already up to date");
+
+  console.log("\nSet on the API (usable from the next slot):");
+  console.log(`  MINT_LOOKUP_TABLE=${address}`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
- * Mint N Neural Norse NFTs in sequence.
- * Usage: MINT_COUNT=10 node scripts/mint-batch.js
+ * Mint N Neural Norse NFTs, BATCH_QUANTITY per challenge.
+ * Usage: MINT_COUNT=10 BATCH_QUANTITY=5 node scripts/mint-batch.js
  */
 const crypto = require("crypto");
 const { Connection, Keypair, Transaction, VersionedTransaction } = require("@solana/web3.js");
@@ -11,8 +11,11 @@ require("dotenv").config({ path: path.join(__dirname, ".env") });
 
 const MINT_URL = (process.env.MINT_URL || "https://neural-norse.vercel.app").replace(/\/+$/, "");
 const SOLANA_RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
-const DIFFICULTY = "0000";
 const MINT_COUNT = parseInt(process.env.MINT_COUNT || "10");
+const BATCH_QUANTITY = parseInt(process.env.BATCH_QUANTITY || "5"); // mints per /api/mint request
+const POW_ALGORITHM = process.env.POW_ALGORITHM; // optional: sha256 | scrypt | hashchain
+const FEE_TIER = process.env.FEE_TIER; // optional: low | normal | urgent
+const PAYMENT_METHOD = process.env.PAYMENT_METHOD; // optional: sol | token
 
 function loadKeypair() {
   const secret = process.env.SOLANA_PRIVATE_KEY;
@@ -30,12 +33,54 @@ async function fetchJSON(url, opts = {}) {
   return body;
 }
 
-function solvePoW(challenge, wallet) {
+// Number of leading zero bits in a digest
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Prove wallet ownership: ed25519 signature over the challenge string, base58
+function signChallenge(keypair, challenge) {
+  const pkcs8 = Buffer.concat([
+    Buffer.from("302e020100300506032b657004220420", "hex"),
+    Buffer.from(keypair.secretKey.slice(0, 32)),
+  ]);
+  const key = crypto.createPrivateKey({ key: pkcs8, format: "der", type: "pkcs8" });
+  return (bs58.default || bs58).encode(crypto.sign(null, Buffer.from(challenge, "utf8"), key));
+}
+
+// Digest for one PoW attempt, per the algorithm named in the challenge
+function powDigest(input, wallet, algorithm = "sha256", params = {}) {
+  const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+  switch (algorithm) {
+    case "sha256":
+      return sha256(input);
+    case "scrypt": {
+      const { N, r, p, keylen } = params;
+      return crypto.scryptSync(input, wallet, keylen, { N, r, p, maxmem: 256 * N * r });
+    }
+    case "hashchain": {
+      let digest = sha256(input);
+      for (let i = 1; i < params.rounds; i++) digest = sha256(digest);
+      return digest;
+    }
+    default:
+      throw new Error(`Unsupported PoW algorithm: ${algorithm}`);
+  }
+}
+
+// Find a nonce whose digest of (challenge + wallet + nonce) has at least
+// `difficulty` leading zero bits (equivalently, is below the served target)
+function solvePoW(challenge, wallet, { difficulty, algorithm, params }) {
   let nonce = 0;
   const t0 = Date.now();
   while (true) {
-    const hash = crypto.createHash("sha256").update(`${challenge}${wallet}${nonce}`).digest("hex");
-    if (hash.startsWith(DIFFICULTY)) {
+    const digest = powDigest(`${challenge}${wallet}${nonce}`, wallet, algorithm, params);
+    if (leadingZeroBits(digest) >= difficulty) {
       console.log(`  PoW solved: nonce=${nonce} (${Date.now() - t0}ms)`);
       return String(nonce);
     }
@@ -43,38 +88,49 @@ function solvePoW(challenge, wallet) {
   }
 }
 
-async function mintOne(keypair, connection, index) {
+// One challenge -> solve -> mint round for up to `quantity` NFTs. The server
+// may return fewer (wallet allowance / supply) and packs them into one or more
+// transactions.
+async function mintRound(keypair, connection, quantity) {
   const wallet = keypair.publicKey.toBase58();
-  console.log(`\n--- Mint ${index + 1}/${MINT_COUNT} ---`);
 
-  // 1. Challenge
-  const { challenge } = await fetchJSON(`${MINT_URL}/api/challenge?wallet=${wallet}`);
+  // 1. Challenge (priced for the quantity)
+  const algorithmQuery = POW_ALGORITHM ? `&algorithm=${POW_ALGORITHM}` : "";
+  const challengeData = await fetchJSON(`${MINT_URL}/api/challenge?wallet=${wallet}&quantity=${quantity}${algorithmQuery}`);
+  const { challenge } = challengeData;
 
   // 2. Solve
-  const nonce = solvePoW(challenge, wallet);
+  const nonce = solvePoW(challenge, wallet, challengeData);
 
-  // 3. Get tx
+  // 3. Get txs
   const mintData = await fetchJSON(`${MINT_URL}/api/mint`, {
     method: "POST",
-    body: JSON.stringify({ wallet, challenge, nonce }),
+    body: JSON.stringify({ wallet, challenge, nonce, quantity, feeTier: FEE_TIER, paymentMethod: PAYMENT_METHOD, signature: signChallenge(keypair, challenge) }),
   });
-  console.log(`  nftMint: ${mintData.nftMint}`);
+  console.log(`  granted: ${mintData.quantity}/${quantity} in ${mintData.transactions.length} tx(s)`);
   console.log(`  claimed: ${mintData.collection?.claimed}/${mintData.collection?.total}`);
 
-  // 4. Sign & submit
-  const txBuffer = Buffer.from(mintData.transaction, "base64");
-  let signature;
-  // UMI serializes as VersionedTransaction
-  const vtx = VersionedTransaction.deserialize(new Uint8Array(txBuffer));
-  vtx.sign([keypair]);
-  signature = await connection.sendRawTransaction(vtx.serialize(), { skipPreflight: false, maxRetries: 3 });
-
-  console.log(`  tx: ${signature}`);
-  console.log(`  confirming...`);
-  const conf = await connection.confirmTransaction(signature, "confirmed");
-  if (conf.value.err) throw new Error(`TX failed: ${JSON.stringify(conf.value.err)}`);
-  console.log(`  MINTED! https://solscan.io/tx/${signature}`);
-  return { signature, nftMint: mintData.nftMint };
+  // 4. Sign & submit each
+  const results = [];
+  for (const { transaction, assets } of mintData.transactions) {
+    try {
+      // UMI serializes as VersionedTransaction
+      const vtx = VersionedTransaction.deserialize(new Uint8Array(Buffer.from(transaction, "base64")));
+      vtx.sign([keypair]);
+      const signature = await connection.sendRawTransaction(vtx.serialize(), { skipPreflight: false, maxRetries: 3 });
+
+      console.log(`  tx: ${signature}`);
+      console.log(`  confirming...`);
+      const conf = await connection.confirmTransaction(signature, "confirmed");
+      if (conf.value.err) throw new Error(`TX failed: ${JSON.stringify(conf.value.err)}`);
+      console.log(`  MINTED ${assets.join(", ")}! https://solscan.io/tx/${signature}`);
+      for (const asset of assets) results.push({ signature, asset });
+    } catch (e) {
+      console.error(`  FAILED: ${e.message}`);
+      for (const asset of assets) results.push({ asset, error: e.message });
+    }
+  }
+  return results;
 }
 
 async function main() {
@@ -83,32 +139,29 @@ async function main() {
   console.log(`Wallet: ${keypair.publicKey.toBase58()}`);
   console.log(`Minting ${MINT_COUNT} NFTs from ${MINT_URL}\n`);
 
-  // Check balance
+  // The API checks the balance against each round's actual cost and
+  // reports any shortfall (402 INSUFFICIENT_FUNDS)
   const balance = await connection.getBalance(keypair.publicKey);
-  const needed = MINT_COUNT * 0.035;
-  console.log(`Balance: ${(balance / 1e9).toFixed(4)} SOL (need ~${needed.toFixed(3)} SOL for ${MINT_COUNT} mints)`);
-  if (balance / 1e9 < needed) {
-    console.error(`Insufficient balance! Need ~${needed} SOL`);
-    process.exit(1);
-  }
+  console.log(`Balance: ${(balance / 1e9).toFixed(4)} SOL`);
 
   const results = [];
-  for (let i = 0; i < MINT_COUNT; i++) {
+  while (results.length < MINT_COUNT) {
+    const quantity = Math.min(BATCH_QUANTITY, MINT_COUNT - results.length);
+    console.log(`\n--- Round: ${quantity} mint(s), ${results.length}/${MINT_COUNT} done ---`);
     try {
-      const r = await mintOne(keypair, connection, i);
-      results.push(r);
-      // Small delay between mints to avoid rate limits
-      if (i < MINT_COUNT - 1) await new Promise(r => setTimeout(r, 2000));
+      const round = await mintRound(keypair, connection, quantity);
+      if (round.length === 0) break;
+      results.push(...round);
     } catch (e) {
       console.error(`  FAILED: ${e.message}`);
-      results.push({ error: e.message });
+      break;
     }
   }
 
   console.log("\n=== Results ===");
   results.forEach((r, i) => {
     if (r.error) console.log(`  ${i + 1}. FAILED: ${r.error}`);
-    else console.log(`  ${i + 1}. ${r.nftMint} (tx: ${r.signature})`);
+    else console.log(`  ${i + 1}. ${r.asset} (tx: ${r.signature})`);
   });
   const ok = results.filter(r => !r.error).length;
   console.log(`\n${ok}/${MINT_COUNT} minted successfully.`);
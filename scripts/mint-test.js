@@ -4,8 +4,8 @@
  *
  * Full mint flow:
  *   1. GET  /api/challenge?wallet=WALLET   -> challenge token
- *   2. Solve SHA-256 proof of work          -> nonce
- *   3. POST /api/mint                       -> partially-signed tx (base64)
+ *   2. Solve proof of work                  -> nonce
+ *   3. Sign challenge, POST /api/mint       -> partially-signed tx (base64)
  *   4. Deserialize, sign, submit to Solana  -> Core Asset
  *
  * Usage:
@@ -21,7 +21,9 @@ require("dotenv").config({ path: path.join(__dirname, ".env") });
 
 const MINT_URL = (process.env.MINT_URL || "https://neural-norse.vercel.app").replace(/\/+$/, "");
 const SOLANA_RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
-const DIFFICULTY = "0000"; // 4 leading hex zeros
+const POW_ALGORITHM = process.env.POW_ALGORITHM; // optional: sha256 | scrypt | hashchain
+const FEE_TIER = process.env.FEE_TIER; // optional: low | normal | urgent
+const PAYMENT_METHOD = process.env.PAYMENT_METHOD; // optional: sol | token
 
 function loadKeypair() {
   const secret = process.env.SOLANA_PRIVATE_KEY;
@@ -44,13 +46,56 @@ async function fetchJSON(url, opts = {}) {
   return body;
 }
 
-function solvePoW(challenge, wallet, prefix = DIFFICULTY) {
+// Number of leading zero bits in a digest
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Prove wallet ownership: ed25519 signature over the challenge string, base58
+function signChallenge(keypair, challenge) {
+  const pkcs8 = Buffer.concat([
+    Buffer.from("302e020100300506032b657004220420", "hex"),
+    Buffer.from(keypair.secretKey.slice(0, 32)),
+  ]);
+  const key = crypto.createPrivateKey({ key: pkcs8, format: "der", type: "pkcs8" });
+  return (bs58.default || bs58).encode(crypto.sign(null, Buffer.from(challenge, "utf8"), key));
+}
+
+// Digest for one PoW attempt, per the algorithm named in the challenge
+function powDigest(input, wallet, algorithm = "sha256", params = {}) {
+  const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+  switch (algorithm) {
+    case "sha256":
+      return sha256(input);
+    case "scrypt": {
+      const { N, r, p, keylen } = params;
+      return crypto.scryptSync(input, wallet, keylen, { N, r, p, maxmem: 256 * N * r });
+    }
+    case "hashchain": {
+      let digest = sha256(input);
+      for (let i = 1; i < params.rounds; i++) digest = sha256(digest);
+      return digest;
+    }
+    default:
+      throw new Error(`Unsupported PoW algorithm: ${algorithm}`);
+  }
+}
+
+// Find a nonce whose digest of (challenge + wallet + nonce) has at least
+// `difficulty` leading zero bits (equivalently, is below the served target)
+function solvePoW(challenge, wallet, { difficulty, algorithm, params }) {
   let nonce = 0;
   const t0 = Date.now();
   while (true) {
     const input = `${challenge}${wallet}${nonce}`;
-    const hash = crypto.createHash("sha256").update(input).digest("hex");
-    if (hash.startsWith(prefix)) {
+    const digest = powDigest(input, wallet, algorithm, params);
+    if (leadingZeroBits(digest) >= difficulty) {
+      const hash = digest.toString("hex");
       const ms = Date.now() - t0;
       console.log(`Solved in ${nonce.toLocaleString()} iterations (${ms} ms)`);
       console.log(`   nonce  = ${nonce}`);
@@ -71,21 +116,23 @@ async function main() {
 
   // 1. Get challenge
   console.log("Step 1: Requesting challenge...");
-  const challengeData = await fetchJSON(`${MINT_URL}/api/challenge?wallet=${wallet}`);
-  const { challenge } = challengeData;
+  const algorithmQuery = POW_ALGORITHM ? `&algorithm=${POW_ALGORITHM}` : "";
+  const challengeData = await fetchJSON(`${MINT_URL}/api/challenge?wallet=${wallet}${algorithmQuery}`);
+  const { challenge, difficulty, algorithm } = challengeData;
   console.log(`  challenge = ${challenge.slice(0, 40)}...`);
+  console.log(`  algorithm = ${algorithm || "sha256"}, difficulty = ${difficulty} bits`);
   console.log();
 
   // 2. Solve proof of work
   console.log("Step 2: Solving proof of work...");
-  const nonce = solvePoW(challenge, wallet);
+  const nonce = solvePoW(challenge, wallet, challengeData);
   console.log();
 
   // 3. Submit solution, get mint transaction
   console.log("Step 3: Submitting solution...");
   const mintData = await fetchJSON(`${MINT_URL}/api/mint`, {
     method: "POST",
-    body: JSON.stringify({ wallet, challenge, nonce }),
+    body: JSON.stringify({ wallet, challenge, nonce, feeTier: FEE_TIER, paymentMethod: PAYMENT_METHOD, signature: signChallenge(keypair, challenge) }),
   });
 
   if (!mintData.transaction) {
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Reconcile Redis per-wallet mint counts with the on-chain mintLimit counters.
+ *
+ * For every wallet Redis knows about (wallet:<addr>:count / wallet:<addr>:pending):
+ *   - reads the Candy Guard mintLimit counter PDA -- the source of truth -- for
+ *     the active phase's mintLimit id (the counter /api/mint checks and
+ *     mirrors); between phases, the most recently started one's
+ *   - rewrites wallet:<addr>:count to the on-chain value where it has drifted
+ *   - drops expired pending reservations, and the pending set once it's empty
+ *
+ * Usage:
+ *   node scripts/reconcile-wallet-counts.js
+ *   DRY_RUN=1 node scripts/reconcile-wallet-counts.js
+ */
+
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+const { createUmi } = require("@metaplex-foundation/umi-bundle-defaults");
+const {
+  mplCandyMachine,
+  fetchCandyMachine,
+  findMintCounterPda,
+  safeFetchAllMintCounter,
+} = require("@metaplex-foundation/mpl-core-candy-machine");
+const { mplCore } = require("@metaplex-foundation/mpl-core");
+const { publicKey } = require("@metaplex-foundation/umi");
+const { redis } = require("../lib/redis");
+const { fetchPhases, activePhase } = require("../lib/phases");
+const { MINT_LIMIT_ID, countKey, pendingKey, pendingCount } = require("../lib/allowance");
+
+const RPC = process.env.SOLANA_RPC || "https://api.mainnet-beta.solana.com";
+const DRY_RUN = process.env.DRY_RUN === "1";
+const FETCH_BATCH = 100; // getMultipleAccounts limit
+
+async function scanWallets() {
+  const wallets = new Set();
+  for (const match of ["wallet:*:count", "wallet:*:pending"]) {
+    let cursor = "0";
+    do {
+      const [next, keys] = await redis.scan(cursor, { match, count: 500 });
+      for (const key of keys) wallets.add(key.split(":")[1]);
+      cursor = String(next);
+    } while (cursor !== "0");
+  }
+  return [...wallets];
+}
+
+// The phase whose counter wallet:<addr>:count mirrors: the active one, else
+// the latest to have started (after the mint ends, the last one)
+function countedPhase(phases, now = Date.now()) {
+  const { phase } = activePhase(phases, now);
+  if (phase) return phase;
+  return phases
+    .filter((p) => p.startDate === null || p.startDate <= now)
+    .sort((a, b) => (a.startDate || 0) - (b.startDate || 0))
+    .pop();
+}
+
+async function main() {
+  if (!process.env.CANDY_MACHINE) {
+    console.error("CANDY_MACHINE not set. Add it to scripts/.env");
+    process.exit(1);
+  }
+
+  const umi = createUmi(RPC).use(mplCandyMachine()).use(mplCore());
+  const candyMachineId = publicKey(process.env.CANDY_MACHINE);
+  const candyMachine = await fetchCandyMachine(umi, candyMachineId);
+  const candyGuard = candyMachine.mintAuthority;
+  const phase = countedPhase(await fetchPhases(umi, candyMachine));
+  if (!phase) {
+    console.log("No phase has started yet -- nothing to reconcile.");
+    return;
+  }
+  const mintLimitId = phase.mintLimit ? phase.mintLimit.id : MINT_LIMIT_ID;
+
+  const wallets = await scanWallets();
+  console.log(`Candy Machine: ${candyMachineId}`);
+  console.log(`Phase: ${phase.name} (mintLimit id ${mintLimitId})`);
+  console.log(`Wallets in Redis: ${wallets.length}${DRY_RUN ? " (dry run)" : ""}\n`);
+
+  let fixed = 0;
+  let cleared = 0;
+
+  for (let i = 0; i < wallets.length; i += FETCH_BATCH) {
+    const batch = wallets.slice(i, i + FETCH_BATCH);
+    const pdas = batch.map((wallet) =>
+      findMintCounterPda(umi, {
+        id: mintLimitId,
+        user: publicKey(wallet),
+        candyMachine: candyMachineId,
+        candyGuard,
+      })
+    );
+
+    const counters = await safeFetchAllMintCounter(umi, pdas.map((pda) => pda[0]));
+    const onChain = new Map(counters.map((counter) => [counter.publicKey, counter.count]));
+
+    for (let j = 0; j < batch.length; j++) {
+      const wallet = batch[j];
+      const actual = onChain.get(pdas[j][0]) || 0;
+      const cached = Number((await redis.get(countKey(wallet))) || 0);
+
+      if (cached !== actual) {
+        console.log(`  ${wallet}: ${cached} -> ${actual}`);
+        if (!DRY_RUN) await redis.set(countKey(wallet), actual);
+        fixed++;
+      }
+
+      if (!DRY_RUN && (await pendingCount(redis, wallet)) === 0) {
+        cleared += await redis.del(pendingKey(wallet));
+      }
+    }
+  }
+
+  console.log(`\nDone. ${fixed} count(s) corrected, ${cleared} empty pending set(s) removed.`);
+}
+
+main().catch((err) => {
+  console.error("\nFATAL:", err);
+  process.exit(1);
+});
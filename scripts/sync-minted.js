@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Copy confirmed mints from Redis into data/metadata-index.json.
+ *
+ * /api/mint/confirm records every verified mint (asset -> wallet -> item) in
+ * Redis. This sets `minted` / `mintedTo` on the matching items so the index
+ * in the repo reflects what has actually been minted.
+ *
+ * Usage:
+ *   node scripts/sync-minted.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+const { redis } = require("../lib/redis");
+const { CONFIRMED_KEY, getMintRecord } = require("../lib/mints");
+
+const INDEX_PATH = path.join(__dirname, "../data/metadata-index.json");
+
+async function main() {
+  const items = JSON.parse(fs.readFileSync(INDEX_PATH, "utf-8"));
+  const assets = await redis.zrange(CONFIRMED_KEY, 0, -1);
+  console.log(`Confirmed mints in Redis: ${assets.length}`);
+
+  let updated = 0;
+  for (const asset of assets) {
+    const record = await getMintRecord(redis, asset);
+    if (!record || record.itemIndex === null || record.itemIndex === undefined) {
+      console.warn(`  ${asset}: no item index recorded, skipping`);
+      continue;
+    }
+
+    const item = items[record.itemIndex];
+    if (item.minted && item.mintedTo === record.wallet) continue;
+
+    item.minted = true;
+    item.mintedTo = record.wallet;
+    updated++;
+  }
+
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(items, null, 2));
+  console.log(`Updated ${updated} item(s) in ${path.relative(process.cwd(), INDEX_PATH)}`);
+}
+
+main().catch((err) => {
+  console.error("\nFATAL:", err);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+const bs58 = require("bs58");
+const { createChallenge } = require("../lib/challenge");
+
+// Shared fixtures for the handler tests. With KV_REST_API_URL unset,
+// lib/redis.js hands every module the same MemoryRedis instance.
+
+const base58 = bs58.default || bs58;
+
+// A fresh ed25519 wallet: base58 address plus a signer for UTF-8 messages
+function testWallet() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const raw = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+  return {
+    address: base58.encode(raw),
+    sign: (message) => base58.encode(crypto.sign(null, Buffer.from(message, "utf8"), privateKey)),
+  };
+}
+
+// /api/mint body with a zero-difficulty challenge, so any nonce solves it
+function mintBody(wallet, overrides = {}) {
+  const { challenge } = createChallenge(wallet.address, { algorithm: "sha256", difficulty: 0, params: {} });
+  return { wallet: wallet.address, challenge, nonce: "0", signature: wallet.sign(challenge), ...overrides };
+}
+
+function mockReq({ method = "POST", body, headers = {} } = {}) {
+  return { method, body, headers: { "x-forwarded-for": "127.0.0.1", ...headers }, socket: {} };
+}
+
+// Records what a handler sends
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  return res;
+}
+
+module.exports = { testWallet, mintBody, mockReq, mockRes };
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+delete process.env.KV_REST_API_URL;
+delete process.env.MINT_AUTHORITY_KEY; // building the transaction fails after the claim
+
+const { MemoryRedis } = require("../lib/memory-redis");
+const { redis } = require("../lib/redis");
+const { challengeKey, claimChallenge, releaseChallenge } = require("../lib/replay");
+const mint = require("../api/mint");
+const { testWallet, mintBody, mockReq, mockRes } = require("./helpers");
+
+test("concurrent claims of one challenge: exactly one wins", async () => {
+  const store = new MemoryRedis();
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () => claimChallenge(store, "challenge-a", "wallet", 60))
+  );
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test("a released claim can be claimed again", async () => {
+  const store = new MemoryRedis();
+  assert.equal(await claimChallenge(store, "challenge-b", "wallet", 60), true);
+  assert.equal(await claimChallenge(store, "challenge-b", "wallet", 60), false);
+  await releaseChallenge(store, "challenge-b");
+  assert.equal(await claimChallenge(store, "challenge-b", "wallet", 60), true);
+});
+
+test("/api/mint rejects a used challenge with 409", async () => {
+  const wallet = testWallet();
+  const body = mintBody(wallet);
+  await claimChallenge(redis, body.challenge, wallet.address, 60);
+
+  const res = mockRes();
+  await mint(mockReq({ body }), res);
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, "CHALLENGE_ALREADY_USED");
+});
+
+test("/api/mint releases the claim when the build fails", async () => {
+  const wallet = testWallet();
+  const body = mintBody(wallet);
+
+  const first = mockRes();
+  await mint(mockReq({ body }), first);
+  assert.equal(first.statusCode, 500);
+  assert.equal(await redis.get(challengeKey(body.challenge)), null);
+
+  // Same solution again: not a replay, so it reaches the build again
+  const retry = mockRes();
+  await mint(mockReq({ body }), retry);
+  assert.equal(retry.statusCode, 500);
+  assert.equal(retry.body.code, "INTERNAL_ERROR");
+});
@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  AddressLookupTableAccount,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} = require("@solana/web3.js");
+const bs58 = require("bs58");
+
+const authorityKeypair = Keypair.generate();
+process.env.MINT_SIGNER = "local";
+process.env.MINT_AUTHORITY_KEY = (bs58.default || bs58).encode(authorityKeypair.secretKey);
+
+const { generateSigner, createNoopSigner, publicKey } = require("@metaplex-foundation/umi");
+const { createMintUmi, buildMintTransactions, fixedMintAccounts } = require("../lib/mint-tx");
+const { checkMintMessage } = require("../lib/signing-policy");
+
+const umi = createMintUmi();
+const authority = authorityKeypair.publicKey.toBase58();
+const randomKey = () => Keypair.generate().publicKey.toBase58();
+const BLOCKHASH = { blockhash: "11111111111111111111111111111111", lastValidBlockHeight: 1 };
+
+const mintOptions = {
+  candyMachine: { publicKey: publicKey(randomKey()), mintAuthority: publicKey(randomKey()) },
+  collection: publicKey(randomKey()),
+  phase: { mintLimit: { id: 1 } },
+  payment: { method: "sol", group: "public", destination: publicKey(randomKey()) },
+  blockhash: BLOCKHASH,
+  microLamports: 100,
+  sign: false,
+};
+const policy = { candyMachine: mintOptions.candyMachine.publicKey, authority };
+
+// The message of a mint built the way /api/mint builds it
+async function mintMessage(overrides = {}) {
+  const options = { minter: createNoopSigner(publicKey(randomKey())), ...mintOptions, ...overrides };
+  const [{ transaction }] = await buildMintTransactions(umi, options, [generateSigner(umi)]);
+  return VersionedTransaction.deserialize(Buffer.from(transaction, "base64")).message;
+}
+
+test("accepts a mint from our candy machine", async () => {
+  const minter = randomKey();
+  const result = checkMintMessage(await mintMessage({ minter: createNoopSigner(publicKey(minter)) }), policy);
+  assert.equal(result.ok, true);
+  assert.equal(result.mints.length, 1);
+  assert.equal(result.mints[0].minter, minter);
+});
+
+test("rejects a mint from another candy machine", async () => {
+  const message = await mintMessage({
+    candyMachine: { ...mintOptions.candyMachine, publicKey: publicKey(randomKey()) },
+  });
+  const result = checkMintMessage(message, policy);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /another candy machine/);
+});
+
+test("rejects a message with a non-mint instruction", () => {
+  const message = new TransactionMessage({
+    payerKey: Keypair.generate().publicKey,
+    recentBlockhash: BLOCKHASH.blockhash,
+    instructions: [
+      SystemProgram.transfer({
+        fromPubkey: authorityKeypair.publicKey,
+        toPubkey: Keypair.generate().publicKey,
+        lamports: 1,
+      }),
+    ],
+  }).compileToV0Message();
+  const result = checkMintMessage(message, policy);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /not a Candy Guard mint/);
+});
+
+test("rejects the mint authority as fee payer", async () => {
+  const message = await mintMessage({ minter: createNoopSigner(publicKey(authority)) });
+  const result = checkMintMessage(message, policy);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /can't be the fee payer/);
+});
+
+test("rejects the mint authority as a mint's payer", async () => {
+  // Same mint, but someone else pays the transaction fee
+  const message = await mintMessage({ minter: createNoopSigner(publicKey(authority)) });
+  const decompiled = TransactionMessage.decompile(message);
+  decompiled.payerKey = Keypair.generate().publicKey;
+  const result = checkMintMessage(decompiled.compileToV0Message(), policy);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /has the mint authority paying/);
+});
+
+test("resolves accounts loaded from a lookup table", async () => {
+  const addresses = fixedMintAccounts(umi, mintOptions);
+  const key = randomKey();
+  const message = await mintMessage({ lookupTables: [{ publicKey: publicKey(key), addresses }] });
+  assert.equal(message.addressTableLookups.length, 1);
+
+  const table = new AddressLookupTableAccount({
+    key: new PublicKey(key),
+    state: {
+      deactivationSlot: BigInt("18446744073709551615"),
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      addresses: addresses.map((address) => new PublicKey(address)),
+    },
+  });
+  assert.equal(checkMintMessage(message, { ...policy, lookupTables: [table] }).ok, true);
+
+  const unresolved = checkMintMessage(message, policy);
+  assert.equal(unresolved.ok, false);
+  assert.match(unresolved.error, /lookup tables/);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { Keypair, VersionedTransaction } = require("@solana/web3.js");
+const bs58 = require("bs58");
+
+const base58 = bs58.default || bs58;
+const authorityKeypair = Keypair.generate();
+const randomKey = () => Keypair.generate().publicKey.toBase58();
+const TOKEN = "test-token";
+
+// The stand-in service reads its configuration when it's required
+Object.assign(process.env, {
+  MINT_AUTHORITY_KEY: base58.encode(authorityKeypair.secretKey),
+  SIGNING_SERVICE_TOKEN: TOKEN,
+  CANDY_MACHINE: randomKey(),
+  MINT_SIGNER_TIMEOUT: "500",
+});
+
+const { generateSigner, createNoopSigner, publicKey } = require("@metaplex-foundation/umi");
+const { server } = require("../scripts/signing-service");
+const { createMintUmi, buildMintTransactions } = require("../lib/mint-tx");
+
+const authority = authorityKeypair.publicKey.toBase58();
+const mintOptions = {
+  candyMachine: { publicKey: publicKey(process.env.CANDY_MACHINE), mintAuthority: publicKey(randomKey()) },
+  collection: publicKey(randomKey()),
+  phase: { mintLimit: { id: 1 } },
+  payment: { method: "sol", group: "public", destination: publicKey(randomKey()) },
+  blockhash: { blockhash: "11111111111111111111111111111111", lastValidBlockHeight: 1 },
+  microLamports: 100,
+};
+
+// Serves every request with `handler`, on a free port
+async function listen(target, handler) {
+  if (handler) target.on("request", handler);
+  await new Promise((resolve) => target.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${target.address().port}`;
+}
+
+function useRemoteSigner(url, overrides = {}) {
+  Object.assign(process.env, {
+    MINT_SIGNER: "remote",
+    MINT_SIGNER_URL: url,
+    MINT_SIGNER_TOKEN: TOKEN,
+    MINT_AUTHORITY_PUBKEY: authority,
+    ...overrides,
+  });
+}
+
+async function mint(overrides = {}) {
+  const umi = createMintUmi();
+  const minter = createNoopSigner(publicKey(randomKey()));
+  return buildMintTransactions(umi, { ...mintOptions, minter, ...overrides }, [generateSigner(umi)]);
+}
+
+let serviceUrl;
+before(async () => {
+  serviceUrl = await listen(server);
+});
+after(() => {
+  server.close();
+});
+
+test("the remote backend gets mints signed by the service", async () => {
+  useRemoteSigner(serviceUrl);
+  const [{ transaction }] = await mint();
+  const vtx = VersionedTransaction.deserialize(Buffer.from(transaction, "base64"));
+  const index = vtx.message.staticAccountKeys.findIndex((key) => key.toBase58() === authority);
+  const umi = createMintUmi();
+  assert.ok(umi.eddsa.verify(vtx.message.serialize(), vtx.signatures[index], publicKey(authority)));
+});
+
+test("the service refuses a request without the bearer token", async () => {
+  useRemoteSigner(serviceUrl, { MINT_SIGNER_TOKEN: "wrong" });
+  await assert.rejects(mint(), /refused \(401\)/);
+});
+
+test("a policy refusal surfaces as an error", async () => {
+  useRemoteSigner(serviceUrl);
+  const candyMachine = { ...mintOptions.candyMachine, publicKey: publicKey(randomKey()) };
+  await assert.rejects(mint({ candyMachine }), /refused \(403\).*another candy machine/);
+});
+
+test("a signature from the wrong key is rejected", async () => {
+  const liar = http.createServer();
+  const url = await listen(liar, (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ signature: base58.encode(Buffer.alloc(64, 1)) }));
+  });
+  try {
+    useRemoteSigner(url);
+    await assert.rejects(mint(), /invalid signature/);
+  } finally {
+    liar.close();
+  }
+});
+
+test("a service that doesn't answer times out", async () => {
+  const silent = http.createServer();
+  const url = await listen(silent, () => {});
+  try {
+    useRemoteSigner(url);
+    await assert.rejects(mint(), { name: "TimeoutError" });
+  } finally {
+    silent.closeAllConnections();
+    silent.close();
+  }
+});
+
+test("the remote backend needs MINT_AUTHORITY_PUBKEY", () => {
+  useRemoteSigner(serviceUrl, { MINT_AUTHORITY_PUBKEY: "" });
+  assert.throws(() => createMintUmi(), /MINT_SIGNER_URL and MINT_AUTHORITY_PUBKEY must be set/);
+});